@@ -0,0 +1,263 @@
+/**
+ * main.js
+ *
+ * Module for the digest format.
+ */
+'use strict';
+
+const Format = require('../format.js');
+const Logging = require('../../include/log.js');
+const {encode, escape, url, shorturl} = require('../../include/util.js');
+const Transport = require('../../transports/transport.js');
+const Message = require('../../parser/msg.js');
+
+const HOUR = 60 * 60 * 1000;
+const PERIODS = {
+    daily: 24 * HOUR,
+    hourly: HOUR
+};
+const DEFAULT_TOP = 5;
+const COLOR = 0x00A8E8;
+
+/**
+ * Format posting periodic summaries of wiki activity instead of relaying
+ * every message.
+ * @augments Format
+ */
+class DigestFormat extends Format {
+    /**
+     * Class constructor.
+     * @param {object} config Format configuration
+     * @param {string} config.period How often summaries are posted, `hourly`
+     * or `daily`
+     * @param {number} config.top Amount of top editors to list
+     * @param {Transport} transport Transport used for the format
+     */
+    constructor(config, transport) {
+        super(config, transport);
+        this._logger = new Logging({
+            file: true,
+            name: 'digest-format',
+            stdout: true
+        });
+        const {period, top} = this._config;
+        this._period = PERIODS[period] ? period : 'daily';
+        this._top = typeof top === 'number' ? top : DEFAULT_TOP;
+        this._markup = this._transport.markup;
+        this._reset();
+        this._schedule();
+    }
+    /**
+     * Starts counting activity for a new period.
+     * @private
+     */
+    _reset() {
+        this._counts = {
+            discussions: 0,
+            edits: 0,
+            logs: new Map(),
+            newPages: 0,
+            users: new Map()
+        };
+    }
+    /**
+     * Schedules posting the summary at the end of the current period.
+     * @private
+     */
+    _schedule() {
+        const length = PERIODS[this._period];
+        const now = Date.now();
+        this._timeout = setTimeout(
+            this._post.bind(this),
+            Math.ceil((now + 1) / length) * length - now
+        );
+    }
+    /**
+     * Counts a message towards the summary.
+     * @param {Message} message Message to count
+     * @returns {null} Nothing, as summaries are posted periodically
+     */
+    execute(message) {
+        const {type, user, wiki, language, domain} = message;
+        this._wiki = {
+            domain,
+            language,
+            wiki
+        };
+        const counts = this._counts;
+        switch (type) {
+            case 'edit':
+                if (message.flags.includes('N')) {
+                    ++counts.newPages;
+                } else {
+                    ++counts.edits;
+                }
+                counts.users.set(user, (counts.users.get(user) || 0) + 1);
+                break;
+            case 'log':
+                counts.logs.set(
+                    message.log,
+                    (counts.logs.get(message.log) || 0) + 1
+                );
+                break;
+            case 'discussions':
+                ++counts.discussions;
+                break;
+            default:
+                break;
+        }
+        return null;
+    }
+    /**
+     * Posts the summary of the current period and starts a new one.
+     * @private
+     */
+    async _post() {
+        const summary = this._summary();
+        this._reset();
+        this._schedule();
+        await this._send(summary);
+    }
+    /**
+     * Sends a summary through the transport.
+     * @param {object|null} summary Formatted summary, or null if there was
+     * no activity
+     * @private
+     */
+    async _send(summary) {
+        if (!summary) {
+            return;
+        }
+        try {
+            await this._transport.execute(summary);
+        } catch (error) {
+            this._logger.error('Failed to post summary:', error);
+        }
+    }
+    /**
+     * Builds the summary of the current period.
+     * @returns {object|null} Formatted summary, or null if there was no
+     * activity
+     * @private
+     */
+    _summary() {
+        const {discussions, edits, logs, newPages, users} = this._counts;
+        if (!this._wiki || edits + newPages + discussions + logs.size === 0) {
+            return null;
+        }
+        const {wiki, language, domain} = this._wiki;
+        const wikiUrl = url(wiki, language, domain);
+        const title = `${this._period === 'hourly' ? 'Hourly' : 'Daily'} ` +
+            `activity on ${shorturl(wiki, language, domain)}`;
+        const sections = [
+            {
+                name: 'Activity',
+                value: [
+                    `Edits: ${edits}`,
+                    `New pages: ${newPages}`,
+                    `Discussions: ${discussions}`
+                ].join('\n')
+            },
+            {
+                name: 'Logs',
+                value: this._sorted(logs)
+                    .map(([log, count]) => `${log}: ${count}`)
+                    .join('\n') || 'None'
+            },
+            {
+                name: 'Top editors',
+                value: this._sorted(users)
+                    .slice(0, this._top)
+                    .map(([user, count], index) => `${index + 1}. ${
+                        this._link(user, `${wikiUrl}/wiki/Special:Contribs/${
+                            encode(user)
+                        }`)
+                    } (${count})`)
+                    .join('\n') || 'None'
+            }
+        ];
+        return this._format(
+            title,
+            `${wikiUrl}/wiki/Special:RecentChanges`,
+            sections
+        );
+    }
+    /**
+     * Sorts counts from highest to lowest.
+     * @param {Map<string, number>} counts Counts to sort
+     * @returns {Array<Array>} Pairs of counted items and their counts
+     * @private
+     */
+    _sorted(counts) {
+        return Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    }
+    /**
+     * Creates a link in the transport's markup.
+     * @param {string} text Link text
+     * @param {string} link Link target
+     * @returns {string} Link
+     * @private
+     */
+    _link(text, link) {
+        switch (this._markup) {
+            case 'slack':
+                return `<${link}|${text}>`;
+            case 'markdown':
+                return `[${escape(text)}](${link})`;
+            default:
+                return `[${escape(text)}](<${link}>)`;
+        }
+    }
+    /**
+     * Formats the summary for the transport.
+     * @param {string} title Summary title
+     * @param {string} link Link to the wiki's recent changes
+     * @param {object[]} sections Summary sections with names and values
+     * @returns {object} Formatted summary
+     * @private
+     */
+    _format(title, link, sections) {
+        if (this._markup === 'slack') {
+            return {
+                text: [
+                    `*<${link}|${title}>*`,
+                    ...sections.map(({name, value}) => `*${name}*\n${value}`)
+                ].join('\n')
+            };
+        }
+        if (this._markup === 'markdown') {
+            return {
+                content: [
+                    `**[${title}](${link})**`,
+                    ...sections.map(({name, value}) => `**${name}**\n${value}`)
+                ].join('\n\n')
+            };
+        }
+        return {
+            embeds: [
+                {
+                    color: COLOR,
+                    fields: sections.map(({name, value}) => ({
+                        inline: true,
+                        name,
+                        value
+                    })),
+                    timestamp: new Date().toISOString(),
+                    title,
+                    url: link
+                }
+            ]
+        };
+    }
+    /**
+     * Posts the summary of activity so far and stops posting summaries.
+     */
+    async kill() {
+        clearTimeout(this._timeout);
+        await this._send(this._summary());
+        this._logger.close();
+    }
+}
+
+module.exports = DigestFormat;
@@ -29,6 +29,14 @@ class Format {
     execute(_message) {
         throw new Error('Implement this method!');
     }
+    /**
+     * Gets additional message properties the format needs to be fetched
+     * before formatting messages.
+     * @returns {string[]} Properties to fetch
+     */
+    get properties() {
+        return [];
+    }
     /* eslint-disable no-empty-function */
     /**
      * Disposes resources used by the format so KockaLogger can cleanly exit.
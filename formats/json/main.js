@@ -0,0 +1,27 @@
+/**
+ * main.js
+ *
+ * Module for the JSON format.
+ */
+'use strict';
+
+const Format = require('../format.js');
+const Message = require('../../parser/msg.js');
+
+/**
+ * Format passing messages to transports as they were parsed, for services
+ * which do their own formatting.
+ * @augments Format
+ */
+class JSONFormat extends Format {
+    /**
+     * Formats the RC message.
+     * @param {Message} message Message to format
+     * @returns {object} Public properties of the message
+     */
+    execute(message) {
+        return message.toJSON();
+    }
+}
+
+module.exports = JSONFormat;
@@ -9,10 +9,67 @@ const {isIP} = require('net');
 const Format = require('../format.js');
 const {cap, url, escape, encode, isIPRange} = require('../../include/util.js');
 const Logging = require('../../include/log.js');
+const Templates = require('./templates.js');
 const Transport = require('../../transports/transport.js');
 const Message = require('../../parser/msg.js');
 
 const P_REGEX = /^<p>(.*)(?:<\/p>)?$/u;
+const MAX_CONTENT_LENGTH = 2000;
+const DEFAULT_PREVIEW_LENGTH = 200;
+const DEFAULT_COALESCE_WINDOW = 10 * 60 * 1000;
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 4096;
+const EDIT_COLOR = 0x3366CC;
+const NEW_COLOR = 0x00AF89;
+const DISCUSSIONS_COLOR = 0xFFCC33;
+const LOG_COLORS = {
+    abusefilter: 0x8B0000,
+    block: 0xD33C3C,
+    delete: 0x72777D,
+    move: 0x9B59B6,
+    newusers: 0x2ECC71,
+    protect: 0xF39C12,
+    rights: 0x1ABC9C,
+    upload: 0x3498DB
+};
+const LOG_TARGETS = {
+    abusefilter: m => `Special:AbuseFilter/${m.id}`,
+    block: m => `User:${m.target}`,
+    delete: m => (
+        m.action === 'revision' || m.action === 'event' ?
+            m.target :
+            m.page
+    ),
+    move: m => m.target,
+    newusers: m => `User:${m.user}`,
+    protect: m => (m.action === 'move_prot' ? m.target : m.page),
+    rights: m => `User:${m.target}`,
+    upload: m => `File:${m.file}`
+};
+const MARKUP = {
+    discord: {
+        bold: '**',
+        italic: '*'
+    },
+    markdown: {
+        bold: '**',
+        italic: '_'
+    },
+    slack: {
+        bold: '*',
+        italic: '_'
+    }
+};
+
+/**
+ * Shortens text to a maximum length.
+ * @param {string} text Text to shorten
+ * @param {number} length Maximum length of the text
+ * @returns {string} Text no longer than the maximum length
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
 
 /**
  * Logger format's class.
@@ -23,6 +80,7 @@ class Logger extends Format {
      * Class constructor.
      * @param {object} config Format configuration
      * @param {Transport} transport Transport used for the format
+     * @throws {Error} If custom templates cannot be loaded or are invalid
      */
     constructor(config, transport) {
         super(config, transport);
@@ -51,7 +109,59 @@ class Logger extends Format {
                 }
             }
         }
+        if (config.templates) {
+            try {
+                this._i18n = {
+                    ...this._i18n,
+                    ...new Templates(config.templates).messages
+                };
+            } catch (error) {
+                this._logger.close();
+                throw error;
+            }
+        }
         this._transportType = this._transport.constructor.name;
+        this._markup = Object.hasOwn(MARKUP, this._transport.markup) ?
+            this._transport.markup :
+            'discord';
+        this._style = MARKUP[this._markup];
+        this._previewLength = typeof config.diffPreview === 'number' ?
+            config.diffPreview :
+            config.diffPreview ? DEFAULT_PREVIEW_LENGTH : 0;
+        this._embeds = Boolean(config.embeds);
+        if (this._embeds && this._transportType !== 'Discord') {
+            this._logger.warn('Embeds are only supported on Discord!');
+            this._embeds = false;
+        }
+        this._initCoalescing(config.coalesce);
+    }
+    /**
+     * Initializes coalescing of consecutive edits.
+     * @param {boolean|number} coalesce Time in milliseconds within which
+     * consecutive edits are coalesced, or `true` to use the default
+     * @private
+     */
+    _initCoalescing(coalesce) {
+        this._coalesceWindow = typeof coalesce === 'number' ?
+            coalesce :
+            coalesce ? DEFAULT_COALESCE_WINDOW : 0;
+        if (this._coalesceWindow && !this._transport.coalescable) {
+            this._logger.warn(
+                'Edit coalescing is only supported on Discord without ' +
+                'batching!'
+            );
+            this._coalesceWindow = 0;
+        }
+        // Maps pages to the edits to them being coalesced, oldest first.
+        this._edits = new Map();
+    }
+    /**
+     * Gets additional message properties the format needs to be fetched
+     * before formatting messages.
+     * @returns {string[]} Properties to fetch
+     */
+    get properties() {
+        return this._previewLength ? ['diff'] : [];
     }
     /**
      * Formats the RC message.
@@ -61,19 +171,105 @@ class Logger extends Format {
     execute(message) {
         const func = this[`_handle${cap(message.type)}`];
         if (typeof func === 'function') {
-            const result = func.call(this, message);
-            switch (this._transportType) {
-                case 'Slack': return {
-                    text: result
-                };
-                default: return {
-                    content: result
-                };
+            const group = this._coalesce(message);
+            const m = group ? group.message : message;
+            const result = func.call(this, m);
+            if (!result) {
+                return null;
             }
+            const formatted = this._wrap(m, result);
+            return group ?
+                {
+                    ...formatted,
+                    coalesce: group.id
+                } :
+                formatted;
         }
         this._logger.error('Cannot find handler for type', message.type);
         return null;
     }
+    /**
+     * Wraps a formatted message into what the transport expects.
+     * @param {Message} m Message that was formatted
+     * @param {string} result Formatted message
+     * @returns {object} Message ready for the transport
+     * @private
+     */
+    _wrap(m, result) {
+        if (this._embeds) {
+            return {
+                embeds: [this._embed(m, result)]
+            };
+        }
+        switch (this._markup) {
+            case 'slack': return {
+                text: result
+            };
+            default: return {
+                content: result
+            };
+        }
+    }
+    /**
+     * Adds an edit to the edits being coalesced.
+     *
+     * Consecutive edits by the same user to the same page within the
+     * coalescing window are posted as a single message, which the transport
+     * edits with every new edit instead of posting a new one.
+     * @param {Message} m Message to coalesce
+     * @returns {object|null} ID of the message the edit is coalesced into
+     * and a message combining all of the coalesced edits, or null if the
+     * message is not coalesced
+     * @private
+     */
+    _coalesce(m) {
+        if (!this._coalesceWindow || m.type !== 'edit') {
+            return null;
+        }
+        const now = Date.now();
+        for (const [key, edits] of this._edits) {
+            if (now - edits.time <= this._coalesceWindow) {
+                break;
+            }
+            this._edits.delete(key);
+        }
+        const key = JSON.stringify([m.wiki, m.language, m.domain, m.page]);
+        const edits = this._edits.get(key);
+        this._edits.delete(key);
+        if (m.flags.includes('N')) {
+            return null;
+        }
+        if (!edits || edits.user !== m.user) {
+            const id = `${m.language}.${m.wiki}.${m.domain}#${m.params.diff}`;
+            this._edits.set(key, {
+                count: 1,
+                diff: m.diff,
+                id,
+                oldid: m.params.oldid,
+                time: now,
+                user: m.user
+            });
+            return {
+                id,
+                message: m
+            };
+        }
+        ++edits.count;
+        edits.diff += m.diff;
+        edits.time = now;
+        this._edits.set(key, edits);
+        return {
+            id: edits.id,
+            message: Object.assign(Object.create(Object.getPrototypeOf(m)), m, {
+                count: edits.count,
+                diff: edits.diff,
+                params: {
+                    ...m.params,
+                    oldid: edits.oldid
+                }
+            })
+        };
+    }
     /**
      * Handles edits.
      * @param {Message} m Message to format
@@ -93,7 +289,49 @@ class Logger extends Format {
         if (newPage) {
             return this._msg('new', ...commonArgs, m.summary);
         }
-        return this._msg('edit', ...commonArgs, m.params.diff, m.summary);
+        if (m.count > 1) {
+            return this._preview(m, this._msg(
+                'edits',
+                ...commonArgs,
+                m.params.diff,
+                m.params.oldid,
+                m.count,
+                m.summary
+            ));
+        }
+        return this._preview(
+            m,
+            this._msg('edit', ...commonArgs, m.params.diff, m.summary)
+        );
+    }
+    /**
+     * Adds a preview of text added and removed in an edit to its message.
+     * @param {Message} m Edit message with a fetched diff preview
+     * @param {string} line Formatted edit message
+     * @returns {string} Formatted edit message with the preview, if the
+     * preview was fetched and fits into the message
+     * @private
+     */
+    _preview(m, line) {
+        if (!this._previewLength || !m.preview) {
+            return line;
+        }
+        const lines = [
+            ['+', m.preview.added],
+            ['-', m.preview.removed]
+        ]
+            .filter(([, text]) => text)
+            // Backticks would end the code block.
+            .map(([sign, text]) => `${sign} ${truncate(
+                text.replace(/`/gu, '\''),
+                this._previewLength
+            )}`);
+        if (lines.length === 0) {
+            return line;
+        }
+        const language = this._markup === 'slack' ? '' : 'diff';
+        const result = `${line}\n\`\`\`${language}\n${lines.join('\n')}\n\`\`\``;
+        return result.length > MAX_CONTENT_LENGTH ? line : result;
     }
     /**
      * Handles logs.
@@ -137,7 +375,7 @@ class Logger extends Format {
                     .replace('\x0310]]', ']]');
                 return this._msg(action, ...wldu, escape(m.page), t, temp);
             case 'rights':
-                temp3 = this._transportType === 'Slack' ? '*' : '**';
+                temp3 = this._style.bold;
                 temp = m.oldgroups.map(function(group) {
                     if (m.newgroups.includes(group)) {
                         return group;
@@ -222,6 +460,127 @@ class Logger extends Format {
             trimmedSnippet
         );
     }
+    /**
+     * Builds a Discord embed for a message.
+     * @param {Message} m Message to build the embed for
+     * @param {string} description Formatted message, used as the embed's
+     * description
+     * @returns {object} Discord embed
+     * @private
+     */
+    _embed(m, description) {
+        const wikiURL = url(m.wiki, m.language, m.domain);
+        const embed = {
+            color: this._embedColor(m),
+            description: truncate(description, MAX_DESCRIPTION_LENGTH),
+            timestamp: m.timestamp || new Date().toISOString()
+        };
+        if (m.user) {
+            embed.author = {
+                name: m.user,
+                url: `${wikiURL}/wiki/Special:Contribs/${encode(m.user)}`
+            };
+        }
+        const [title, path] = this._embedTitle(m);
+        if (title) {
+            embed.title = truncate(title, MAX_TITLE_LENGTH);
+            embed.url = `${wikiURL}/${path}`;
+        }
+        const fields = this._embedFields(m);
+        if (fields.length) {
+            embed.fields = fields;
+        }
+        return embed;
+    }
+    /**
+     * Gets the colour of the embed for a message.
+     * @param {Message} m Message to get the colour for
+     * @returns {number} Embed colour
+     * @private
+     */
+    _embedColor(m) {
+        switch (m.type) {
+            case 'edit':
+                return m.flags.includes('N') ? NEW_COLOR : EDIT_COLOR;
+            case 'log':
+                return LOG_COLORS[m.log];
+            default:
+                return DISCUSSIONS_COLOR;
+        }
+    }
+    /**
+     * Gets the title of the embed for a message and the path it links to.
+     * @param {Message} m Message to get the title for
+     * @returns {string[]} Embed title and the path to the diff or page the
+     * title links to, relative to the wiki's URL
+     * @private
+     */
+    _embedTitle(m) {
+        switch (m.type) {
+            case 'edit':
+                if (m.flags.includes('N')) {
+                    return [m.page, `wiki/${encode(m.page)}`];
+                }
+                return m.count > 1 ?
+                    [m.page, `?oldid=${m.params.oldid}&diff=${m.params.diff}`] :
+                    [m.page, `?diff=${m.params.diff}`];
+            case 'log': {
+                const target = LOG_TARGETS[m.log] ?
+                    LOG_TARGETS[m.log](m) :
+                    m.page;
+                return [target, `wiki/${encode(target || '')}`];
+            }
+            case 'discussions':
+                return [
+                    m.title || m.page || m.category,
+                    this._discussionsPath(m.platform, m.thread, m.reply, m.page)
+                ];
+            default:
+                return [];
+        }
+    }
+    /**
+     * Gets the fields of the embed for a message.
+     * @param {Message} m Message to get the fields for
+     * @returns {object[]} Embed fields with their names and values
+     * @private
+     */
+    _embedFields(m) {
+        const fields = [];
+        if (m.type === 'edit' && typeof m.diff === 'number') {
+            fields.push([
+                'embed-diff-size',
+                m.diff > 0 ? `+${m.diff}` : String(m.diff)
+            ]);
+        }
+        if (m.type === 'log' && m.log === 'block' && m.action !== 'unblock') {
+            fields.push(['embed-expiry', m.expiry]);
+            fields.push(['embed-flags', m.flags.join(', ')]);
+        }
+        if (
+            m.type === 'log' &&
+            m.log === 'protect' &&
+            m.level instanceof Array
+        ) {
+            fields.push(['embed-expiry', m.level
+                .map(lv => `${lv.feature}: ${lv.expiry}`)
+                .join('\n')]);
+        }
+        if (m.type === 'log' && m.log === 'rights') {
+            fields.push(['embed-groups', `${
+                m.oldgroups.join(', ') || this._i18n['rights-none']
+            } → ${
+                m.newgroups.join(', ') || this._i18n['rights-none']
+            }`]);
+        }
+        return fields
+            .filter(([, value]) => value)
+            .map(([key, value]) => ({
+                inline: true,
+                name: this._i18n[key],
+                value: escape(String(value))
+            }));
+    }
     /* eslint-disable max-statements */
     /**
      * Formats an RC message by type.
@@ -242,8 +601,8 @@ class Logger extends Format {
         let mode = 0;
         let temp = 0;
         let result = '';
+        // Templates can be nested, so each one keeps its own arguments.
         const templates = [];
-        const tArgs = [];
         for (let i = 0, l = string.length; i < l; ++i) {
             let char = string.charAt(i);
             if (mode === 1) {
@@ -264,7 +623,10 @@ class Logger extends Format {
             } else if (mode === 2) {
                 mode = 0;
                 if (char === '{') {
-                    templates.push(result);
+                    templates.push({
+                        args: [],
+                        prefix: result
+                    });
                     result = '';
                     char = '';
                 } else {
@@ -272,13 +634,14 @@ class Logger extends Format {
                 }
             } else if (mode === 3) {
                 mode = 0;
-                if (char === '}') {
+                if (char === '}' && templates.length) {
+                    const {args: tArgs, prefix} = templates.pop();
                     tArgs.push(result);
-                    result = templates.pop() + this._template(
+                    result = prefix + this._template(
                         wiki,
                         lang,
                         domain,
-                        ...tArgs.splice(0)
+                        ...tArgs
                     );
                     char = '';
                 } else {
@@ -293,7 +656,7 @@ class Logger extends Format {
                 } else if (char === '}') {
                     mode = 3;
                 } else if (char === '|' && templates.length) {
-                    tArgs.push(result);
+                    templates[templates.length - 1].args.push(result);
                     result = '';
                 } else {
                     result += char;
@@ -331,12 +694,17 @@ class Logger extends Format {
         const escapedText = escape(text)
             .replace(/<|>/ug, '')
             .replace(/\[|\]/ug, '');
-        if (this._transportType === 'Slack') {
-            // Slack link: <link|text>
-            return `<${wikiURL}/${replacedLink}|${escapedText}>`;
+        switch (this._markup) {
+            case 'slack':
+                // Slack link: <link|text>
+                return `<${wikiURL}/${replacedLink}|${escapedText}>`;
+            case 'markdown':
+                // CommonMark link: [Text](Link)
+                return `[${escapedText}](${wikiURL}/${replacedLink})`;
+            default:
+                // Discord link without an embed: [Text](<Link>)
+                return `[${escapedText}](<${wikiURL}/${replacedLink}>)`;
         }
-        // Markdown link: [Text](Link)
-        return `[${escapedText}](<${wikiURL}/${replacedLink}>)`;
     }
     /**
      * Makes a Markdown link to a wiki page.
@@ -412,24 +780,25 @@ class Logger extends Format {
             case 'link':
                 return this._wikiLink(args[1] || args[0], ...wld, args[0]);
             case 'diff':
+                // The optional second argument links a range of revisions.
                 return `(${this._link(
                     this._i18n.diff,
                     ...wld,
-                    `?diff=${args[0]}`
+                    args[1] ?
+                        `?oldid=${args[1]}&diff=${args[0]}` :
+                        `?diff=${args[0]}`
                 )})`;
             case 'diffSize':
-                if (this._transportType === 'Slack') {
-                    temp = args[0] > 500 || args[0] < -500 ? '*' : '_';
-                } else {
-                    temp = '*'.repeat(args[0] > 500 || args[0] < -500 ? 2 : 1);
-                }
+                temp = args[0] > 500 || args[0] < -500 ?
+                    this._style.bold :
+                    this._style.italic;
                 if (args[0] > 0) {
                     args[0] = `+${args[0]}`;
                 }
                 return `${temp}(${args[0]})${temp}`;
             case 'summary':
                 temp = args[0].trim();
-                temp1 = this._transportType === 'Slack' ? '_' : '*';
+                temp1 = this._style.italic;
                 return temp.length === 0 ?
                     '' :
                     `(${temp1}${escape(temp.replace(/(?:\n|\r|\s)+/ug, ' '))}${temp1})`;
@@ -449,6 +818,16 @@ class Logger extends Format {
                 return this._msg(`${args[1]}-board`, ...wld, escape(args[0]));
             case 'flink':
                 return this._wikiLink(args[0], ...wld, `Special:DiscussionsAbuseFilter/examine/log/${args[0]}`);
+            case 'if':
+                // {{if|condition|text if not empty|text if empty}}
+                return (args[0] || '').trim() ? args[1] || '' : args[2] || '';
+            case 'truncate':
+                temp = Number(args[1]);
+                return temp > 0 ?
+                    truncate(args[0] || '', temp) :
+                    args[0] || '';
+            case 'escape':
+                return escape(args[0] || '');
             default:
                 return '';
         }
@@ -0,0 +1,136 @@
+/**
+ * templates.js
+ *
+ * Module for loading user-defined message templates of the logger format.
+ */
+'use strict';
+
+const {readFileSync} = require('fs');
+const path = require('path');
+const en = require('./i18n/en.json');
+
+const ROOT = path.resolve(__dirname, '../..');
+const TEMPLATES = [
+    'board',
+    'diff',
+    'diffSize',
+    'dlink',
+    'escape',
+    'flags',
+    'flink',
+    'if',
+    'link',
+    'summary',
+    'truncate',
+    'user'
+];
+const PLACEHOLDER_REGEX = /\$(\d+)/gu;
+const TEMPLATE_REGEX = /\{\{([^|{}]*)/gu;
+
+/**
+ * Gets the amount of arguments a message takes from its English version.
+ * @param {string} key Message key
+ * @returns {number} Highest placeholder number used in the message
+ */
+function arity(key) {
+    return Array.from(en[key].matchAll(PLACEHOLDER_REGEX))
+        .reduce((max, [, num]) => Math.max(max, Number(num)), 0);
+}
+
+/**
+ * User-defined message templates overriding the logger format's i18n
+ * messages, loaded from a JSON file or an inline map of message keys to
+ * templates.
+ */
+class Templates {
+    /**
+     * Class constructor.
+     * @param {string|object} source Path to a JSON file with templates,
+     * relative to the KockaLogger directory, or a map of message keys to
+     * templates
+     * @throws {Error} If the templates cannot be loaded or are invalid
+     */
+    constructor(source) {
+        const messages = typeof source === 'string' ?
+            this._read(source) :
+            source;
+        if (
+            typeof messages !== 'object' ||
+            messages === null ||
+            messages instanceof Array
+        ) {
+            throw new Error(
+                'Templates must be a map of message keys to templates.'
+            );
+        }
+        const problems = Object.entries(messages)
+            .flatMap(([key, template]) => this._check(key, template));
+        if (problems.length) {
+            throw new Error(`Invalid templates: ${problems.join('; ')}`);
+        }
+        this._messages = messages;
+    }
+    /**
+     * Reads templates from a JSON file.
+     * @param {string} file Path to the file, relative to the KockaLogger
+     * directory
+     * @returns {object} Map of message keys to templates
+     * @throws {Error} If the file cannot be read or parsed
+     * @private
+     */
+    _read(file) {
+        try {
+            return JSON.parse(readFileSync(path.resolve(ROOT, file), {
+                encoding: 'utf-8'
+            }));
+        } catch (error) {
+            throw new Error(`Failed to load templates from ${file}: ${
+                error.message
+            }`);
+        }
+    }
+    /**
+     * Checks a single template for problems.
+     * @param {string} key Message key the template overrides
+     * @param {string} template Template to check
+     * @returns {string[]} Problems found in the template
+     * @private
+     */
+    _check(key, template) {
+        if (!Object.hasOwn(en, key)) {
+            return [`unknown message key "${key}"`];
+        }
+        if (typeof template !== 'string') {
+            return [`template for "${key}" must be a string`];
+        }
+        const problems = [];
+        const max = arity(key);
+        for (const [placeholder, num] of template.matchAll(PLACEHOLDER_REGEX)) {
+            if (Number(num) < 1 || Number(num) > max) {
+                problems.push(max === 0 ?
+                    `"${key}" does not take placeholders, found ${placeholder}` :
+                    `"${key}" only takes placeholders $1 to $${max}, found ${
+                        placeholder
+                    }`);
+            }
+        }
+        for (const [, name] of template.matchAll(TEMPLATE_REGEX)) {
+            if (!TEMPLATES.includes(name)) {
+                problems.push(`unknown template "${name}" in "${key}"`);
+            }
+        }
+        if (template.split('{{').length !== template.split('}}').length) {
+            problems.push(`unbalanced braces in "${key}"`);
+        }
+        return problems;
+    }
+    /**
+     * Gets the loaded templates.
+     * @returns {object} Map of message keys to templates
+     */
+    get messages() {
+        return this._messages;
+    }
+}
+
+module.exports = Templates;
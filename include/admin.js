@@ -0,0 +1,175 @@
+/**
+ * admin.js
+ *
+ * Module for handling administrative commands sent to a running KockaLogger
+ * instance through a Unix socket.
+ */
+'use strict';
+
+const {once} = require('events');
+const {unlink} = require('fs/promises');
+const net = require('net');
+const {promisify} = require('util');
+const Logger = require('./log.js');
+
+const COMMAND_TIMEOUT = 60 * 1000;
+
+/**
+ * Administrative command server.
+ *
+ * Each connection sends a single line with a command name and its
+ * whitespace-separated arguments, and receives the command's output before
+ * the connection is closed.
+ */
+class Admin {
+    /**
+     * Class constructor.
+     * @param {string} socket Path to the Unix socket to listen on
+     */
+    constructor(socket) {
+        this._socket = socket;
+        this._commands = new Map();
+        this._logger = new Logger({
+            file: true,
+            name: 'admin',
+            stdout: true
+        });
+        this.register(
+            'help',
+            'Lists available commands.',
+            this._help.bind(this)
+        );
+    }
+    /**
+     * Registers an administrative command.
+     * @param {string} name Command name
+     * @param {string} description Command description shown in help
+     * @param {Function} handler Function called with the command's arguments,
+     * returning or resolving to the command's output
+     */
+    register(name, description, handler) {
+        this._commands.set(name, {
+            description,
+            handler
+        });
+    }
+    /**
+     * Lists available commands.
+     * @returns {string} Available commands with their descriptions
+     * @private
+     */
+    _help() {
+        return Array.from(this._commands.entries())
+            .map(([name, {description}]) => `${name} - ${description}`)
+            .join('\n');
+    }
+    /**
+     * Starts listening for commands.
+     */
+    async run() {
+        try {
+            // Remove a socket left over by a previous run.
+            await unlink(this._socket);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        this._server = net.createServer(this._connection.bind(this))
+            .on('error', this._serverError.bind(this))
+            .listen(this._socket);
+    }
+    /**
+     * Event emitted when an error occurs with the command server.
+     * @param {Error} error Error that occurred
+     * @private
+     */
+    _serverError(error) {
+        this._logger.error('Admin command server error:', error);
+    }
+    /**
+     * Handles a connection to the command server.
+     * @param {net.Socket} socket Connected socket
+     * @private
+     */
+    _connection(socket) {
+        socket.setEncoding('utf8');
+        socket.setTimeout(COMMAND_TIMEOUT, socket.destroy.bind(socket));
+        socket.on('error', this._serverError.bind(this));
+        socket.on('data', this._data.bind(this, socket, {buffer: ''}));
+    }
+    /**
+     * Handles data received from a connection to the command server.
+     * @param {net.Socket} socket Connected socket
+     * @param {object} state Data received from the socket so far
+     * @param {string} state.buffer Received data without a line break
+     * @param {string} data Received data
+     * @private
+     */
+    async _data(socket, state, data) {
+        state.buffer += data;
+        const index = state.buffer.indexOf('\n');
+        if (index === -1) {
+            return;
+        }
+        socket.pause();
+        const output = await this.execute(state.buffer.substring(0, index));
+        socket.end(`${output}\n`);
+    }
+    /**
+     * Executes an administrative command.
+     * @param {string} line Command name followed by its arguments
+     * @returns {Promise<string>} Command output
+     */
+    async execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/u);
+        const command = this._commands.get(name);
+        if (!command) {
+            return `Unknown command: ${name}. Use "help" to list commands.`;
+        }
+        this._logger.info('Executing admin command:', line.trim());
+        try {
+            const output = await command.handler(...args);
+            return typeof output === 'string' ? output : 'Done.';
+        } catch (error) {
+            this._logger.error('Admin command', name, 'failed:', error);
+            return `Command failed: ${error.message}`;
+        }
+    }
+    /**
+     * Sends a command to a running KockaLogger instance.
+     * @param {string} socket Path to the Unix socket the instance listens on
+     * @param {string} line Command name followed by its arguments
+     * @returns {Promise<string>} Command output
+     * @throws {Error} If administrative commands are disabled
+     * @static
+     */
+    static async send(socket, line) {
+        if (typeof socket !== 'string') {
+            throw new Error(
+                'Administrative commands are disabled. Set the admin ' +
+                'property of the client configuration to enable them.'
+            );
+        }
+        const connection = net.createConnection(socket);
+        connection.setEncoding('utf8');
+        await once(connection, 'connect');
+        connection.write(`${line}\n`);
+        let output = '';
+        for await (const data of connection) {
+            output += data;
+        }
+        return output.trimEnd();
+    }
+    /**
+     * Stops listening for commands.
+     */
+    async kill() {
+        this._logger.close();
+        if (this._server) {
+            await promisify(this._server.close).call(this._server);
+        }
+    }
+}
+
+module.exports = Admin;
@@ -7,35 +7,23 @@
 
 const {promisify} = require('util');
 const {exit, stdout} = require('process');
-const irc = require('irc-upd');
 const Redis = require('ioredis');
-const util = require('./util.js');
+const Admin = require('./admin.js');
 const IO = require('./io.js');
 const Logger = require('./log.js');
 const Parser = require('../parser/parser.js');
 const Loader = require('../messages/main.js');
 const Message = require('../parser/msg.js');
 const Module = require('../modules/module.js');
+const Transport = require('../transports/transport.js');
 
-const EVENTS = [
-    'registered',
-    'join',
-    'error',
-    'netError',
-    'message',
-    'ctcp-version'
-];
-const HANDLED_COMMANDS = [
-    '338',
-    'rpl_whoismodes'
-];
 const FETCH_MAX_RETRIES = 5;
 const FETCH_DELAY = 10000;
-const MONITORING_INTERVAL = 1 * 60 * 1000;
-const MONITORING_FAILED_INTERVAL = 5 * 60 * 1000;
+// Message information modules can do without if it cannot be fetched.
+const OPTIONAL_PROPERTIES = ['diff'];
 
 /**
- * IRC client class.
+ * Main client class.
  */
 class Client {
     /**
@@ -43,15 +31,28 @@ class Client {
      * @param {object} config KockaLogger configuration
      * @param {object} options Client options
      * @param {boolean} options.debug KockaLogger debug mode
+     * @param {boolean} options.record Whether raw IRC lines should be
+     * recorded even if recording is not configured
+     * @param {string} options.replay Capture file to replay instead of
+     * connecting to IRC
+     * @param {boolean} options.realtime Whether the capture file should be
+     * replayed with its original pacing
      */
-    constructor(config, {debug}) {
+    constructor(config, {debug, record, replay, realtime}) {
         this._config = config;
         this._debug = debug;
+        this._replaying = typeof replay === 'string';
         this._io = new IO();
         this._fetching = new Map();
         this._initLogger(config.logging || {}, config.client.discord);
         this._initCache(config.cache);
+        this._initAdmin(config.client.admin);
         this._initModules();
+        this._initSources({
+            realtime,
+            record,
+            replay
+        });
     }
     /**
      * Initializes the debug/info/error logger.
@@ -117,242 +118,287 @@ class Client {
     _redisReconnecting() {
         this._logger.warn('Redis is reconnecting...');
     }
+    /**
+     * Initializes the administrative command server.
+     *
+     * Administrative commands are disabled unless a socket is configured,
+     * so that instances on the same host do not take over each other's
+     * socket.
+     * @param {string|boolean} socket Path to the Unix socket to listen on, or
+     * `false` to disable administrative commands
+     * @private
+     */
+    _initAdmin(socket) {
+        if (typeof socket === 'string') {
+            this._admin = new Admin(socket);
+            this._admin.register(
+                'deadletter',
+                'Shows the amount of messages transports failed to deliver. ' +
+                'Use "deadletter replay" to deliver them again or ' +
+                '"deadletter purge" to delete them.',
+                this._deadLetter.bind(this)
+            );
+        }
+    }
+    /**
+     * Handles the administrative command for undelivered messages.
+     * @param {string} action `replay` to deliver the messages again, `purge`
+     * to delete them, or nothing to count them
+     * @returns {Promise<string>} Command output
+     * @private
+     */
+    async _deadLetter(action) {
+        switch (action) {
+            case 'replay': {
+                const {delivered, failed} = await Transport.replay(this._cache);
+                return `Delivered ${delivered} message(s), ${failed} ` +
+                    'failed again.';
+            }
+            case 'purge':
+                return `Deleted ${await Transport.purge(this._cache)} ` +
+                    'message(s).';
+            case undefined:
+                return `${await Transport.deadLetters(this._cache)} ` +
+                    'undelivered message(s).';
+            default:
+                return `Unknown action: ${action}.`;
+        }
+    }
     /**
      * Initializes KockaLogger modules.
      * @private
      */
     _initModules() {
         this._modules = {};
+        this._moduleConfigs = {};
         if (typeof this._config.modules !== 'object') {
             return;
         }
         for (const mod in this._config.modules) {
-            try {
-                const OurModule = require(`../modules/${mod}/main.js`);
-                this._modules[mod] = new OurModule(
-                    this._config.modules[mod],
-                    this
-                );
-            } catch (e) {
-                this._logger.error(
-                    'Error while initializing module',
-                    mod,
-                    ':',
-                    e
-                );
+            const config = this._config.modules[mod];
+            const instance = this._initModule(mod, config);
+            if (instance) {
+                this._modules[mod] = instance;
+                this._moduleConfigs[mod] = JSON.stringify(config);
             }
         }
     }
     /**
-     * Initializes the IRC client.
-     * @param {object} data Loader data
-     * @param {Loader} loader Message loader
+     * Initializes a single KockaLogger module.
+     * @param {string} mod Module name
+     * @param {object} config Module configuration
+     * @returns {Module|null} Initialized module on success, null on error
+     * @private
      */
-    async run(data, loader) {
-        this._caches = data;
-        this._loader = loader;
-        this._parser = new Parser(data);
-        this._logger.info('Setting up modules...');
-        for (const mod in this._modules) {
-            await this._modules[mod].setup(data);
-        }
-        this._logger.info('Initializing IRC client...');
-        const {
-            server, nick, channels, port, realname, username
-        } = this._config.client;
-        this._client = new irc.Client(server, nick, {
-            autoRejoin: true,
-            autoRenick: true,
-            channels: [channels.rc, channels.discussions, channels.newusers],
-            port,
-            realName: realname,
-            showErrors: true,
-            userName: username || nick
-        });
-        this._client.out.error = this._errorOverride.bind(this);
-        this._monitoring = {};
-        this._monitoringFailed = {};
-        for (const channel in channels) {
-            this._monitoring[channel] = Date.now();
-        }
-        this._monitoringInterval = setInterval(
-            this._checkChannels.bind(this),
-            MONITORING_INTERVAL
-        );
-        for (const e of EVENTS) {
-            this._client.on(e, this[`_${e.replace(
-                /-(\w)/u,
-                (_, m) => m.toUpperCase()
-            )}`].bind(this));
+    _initModule(mod, config) {
+        try {
+            const OurModule = require(`../modules/${mod}/main.js`);
+            return new OurModule(config, this);
+        } catch (e) {
+            this._logger.error(
+                'Error while initializing module',
+                mod,
+                ':',
+                e
+            );
+            return null;
         }
     }
     /**
-     * Overrides irc-upd's error output.
-     * @param {Array} args Error arguments
+     * Initializes event sources.
+     *
+     * The IRC event source is always initialized from the client
+     * configuration, unless disabled by setting the `irc` event source to
+     * `false`. When replaying, only the replay event source is initialized.
+     * @param {object} options Event source options
+     * @param {boolean} options.record Whether raw IRC lines should be
+     * recorded even if recording is not configured
+     * @param {string} options.replay Capture file to replay
+     * @param {boolean} options.realtime Whether the capture file should be
+     * replayed with its original pacing
+     * @private
      */
-    _errorOverride(...args) {
-        if (
-            // Bogus unhandled commands.
-            args[0] === 'Unhandled message:' &&
-            typeof args[1].command === 'string' &&
-            (
-                HANDLED_COMMANDS.includes(args[1].command) ||
-                // Error while killing.
-                this._killing &&
-                args[1].command === 'ERROR' &&
-                args[1].args instanceof Array &&
-                typeof args[1].args[0] === 'string' &&
-                args[1].args[0].startsWith('Closing Link: ')
-            ) ||
-            // Already logged errors.
-            typeof args[0] === 'object' &&
-            args[0].commandType === 'error'
-        ) {
+    _initSources({record, replay, realtime}) {
+        this._sources = {};
+        const {client} = this._config;
+        const sources = typeof this._config.sources === 'object' ?
+            this._config.sources || {} :
+            {};
+        if (typeof replay === 'string') {
+            this._initSource('replay', {
+                ...client,
+                file: replay,
+                realtime
+            });
             return;
         }
-        this._logger.error(...args);
+        if (sources.irc !== false) {
+            this._initSource('irc', {
+                ...client,
+                ...sources.irc,
+                record: client.record || (record ? {} : null)
+            });
+        }
+        for (const type in sources) {
+            if (type !== 'irc') {
+                this._initSource(type, sources[type]);
+            }
+        }
     }
     /**
-     * The client has joined the IRC server.
-     * @param {object} command IRC command sent upon joining
+     * Initializes a single event source.
+     * @param {string} type Event source type
+     * @param {object} config Event source configuration
      * @private
      */
-    _registered(command) {
-        if (!this._killing) {
-            this._logger.info(command.args[1]);
+    _initSource(type, config) {
+        try {
+            const OurSource = require(`../sources/${type}/main.js`);
+            this._sources[type] = new OurSource(config, this);
+        } catch (error) {
+            this._logger.error(
+                'Error while initializing event source',
+                type,
+                ':',
+                error
+            );
         }
     }
     /**
-     * The client has joined an IRC channel.
-     * @param {string} channel Channel that was joined
-     * @param {string} user User that joined the channel
-     * @private
+     * Sets up modules and starts event sources.
+     * @param {object} data Loader data
+     * @param {Loader} loader Message loader
      */
-    _join(channel, user) {
-        for (const type in this._config.client.channels) {
-            if (
-                channel === this._config.client.channels[type] &&
-                user === this._config.client.nick
-            ) {
-                this._logger.info('Joined', type, 'channel.');
-                break;
+    async run(data, loader) {
+        this._caches = data;
+        this._loader = loader;
+        this._parser = new Parser(data);
+        this._logger.info('Setting up modules...');
+        for (const mod in this._modules) {
+            await this._modules[mod].setup(data);
+        }
+        if (this._admin) {
+            try {
+                await this._admin.run();
+            } catch (error) {
+                this._logger.error(
+                    'Error while starting admin command server:',
+                    error
+                );
+            }
+        }
+        this._logger.info('Starting event sources...');
+        for (const type in this._sources) {
+            try {
+                await this._sources[type].run();
+            } catch (error) {
+                this._logger.error(
+                    'Error while starting event source',
+                    type,
+                    ':',
+                    error
+                );
             }
         }
     }
     /**
-     * An IRC error occurred.
-     * @param {object} command IRC command sent upon error
-     * @private
-     */
-    _error(command) {
-        this._logger.error('IRC error:', command);
-    }
-    /**
-     * A network error with the IRC socket occurred,
-     * @param {Error} error Error event that occurred in the socket
-     * @private
+     * Reloads module configuration without disconnecting from event sources
+     * or Redis.
+     *
+     * Unchanged modules are left alone, modules supporting reloading reload
+     * their configuration in place, and other changed modules are recreated.
+     * @param {object} config New KockaLogger configuration
+     * @returns {Promise<string>} Summary of reloaded modules
+     * @throws {Error} If a reload is already in progress
      */
-    _netError(error) {
-        this._logger.error('Socket error:', error);
+    async reload(config) {
+        if (this._reloading) {
+            throw new Error('Configuration is already being reloaded.');
+        }
+        this._reloading = true;
+        try {
+            return await this._reloadModules(config);
+        } finally {
+            this._reloading = false;
+        }
     }
     /**
-     * An IRC message has been sent.
-     * @param {string} user User sending the message
-     * @param {string} channel Channel the message was sent to
-     * @param {string} message Message contents
+     * Reloads, starts or removes modules based on new configuration.
+     * @param {object} config New KockaLogger configuration
+     * @returns {Promise<string>} Summary of reloaded modules
      * @private
      */
-    async _message(user, channel, message) {
-        const {channels, users} = this._config.client;
-        for (const i in this._config.client.channels) {
-            if (user.startsWith(users[i]) && channel === channels[i]) {
-                this._monitoring[i] = Date.now();
-                if (this._monitoringFailed[i]) {
-                    this._logger.info('Channel', i, 'recovered');
-                    this._monitoringFailed[i] = false;
-                }
-                const msg = this[`_${i}Message`](message);
-                if (msg && typeof msg === 'object') {
-                    if (msg.error) {
-                        await this._dispatchError(msg);
-                    } else {
-                        await this._dispatchMessage(msg);
-                    }
-                }
-                break;
+    async _reloadModules(config) {
+        this._logger.info('Reloading configuration...');
+        const modules = typeof config.modules === 'object' ?
+            config.modules || {} :
+            {};
+        const results = [];
+        for (const mod in this._modules) {
+            if (!(mod in modules)) {
+                await this._modules[mod].kill();
+                delete this._modules[mod];
+                delete this._moduleConfigs[mod];
+                results.push(`${mod}: removed`);
             }
         }
+        for (const mod in modules) {
+            results.push(`${mod}: ${await this._reloadModule(
+                mod,
+                modules[mod]
+            )}`);
+        }
+        this._config = {
+            ...this._config,
+            modules: config.modules
+        };
+        this._logger.info('Reloaded configuration.');
+        return results.join('\n');
     }
     /**
-     * Handles messages in the RC channel.
-     * @param {string} message Message to handle
-     * @returns {Message|null} Parsed message object, unless we're dealing with
-     * an overflow
+     * Reloads a single module's configuration.
+     * @param {string} mod Module name
+     * @param {object} config New module configuration
+     * @returns {Promise<string>} Outcome of the reload
      * @private
      */
-    _rcMessage(message) {
-        let msg = null;
-        if (message.startsWith('\x0314')) {
-            if (this._overflow) {
-                msg = this._parser.parse(this._overflow, 'rc');
+    async _reloadModule(mod, config) {
+        const serialized = JSON.stringify(config);
+        const existing = this._modules[mod];
+        if (existing && this._moduleConfigs[mod] === serialized) {
+            return 'unchanged';
+        }
+        try {
+            if (existing && await existing.reload(config)) {
+                this._moduleConfigs[mod] = serialized;
+                return 'reloaded';
             }
-            this._overflow = message;
-        } else {
-            const concat = `${this._overflow}${message}`;
-            if (concat.startsWith('\x0314')) {
-                msg = this._parser.parse(concat, 'rc');
-                if (
-                    msg.type === 'error' && msg.error === 'rcerror' ||
-                    msg.type === 'log' && msg.error === 'logparsefail'
-                ) {
-                    msg = this._parser.parse(`${this._overflow} ${message}`, 'rc');
-                    if (msg) {
-                        msg.addedSpaces = true;
-                    }
-                }
+            const instance = this._initModule(mod, config);
+            if (!instance) {
+                return 'failed to initialize, kept previous configuration';
             }
-            this._overflow = '';
-        }
-        return msg;
-    }
-    /**
-     * Handles messages in the Discussions channel.
-     * @param {string} message Message to handle
-     * @returns {Message|null} Parsed message object, unless we're dealing with
-     * an overflow
-     * @private
-     */
-    _discussionsMessage(message) {
-        const start = message.startsWith('{');
-        const end = message.endsWith('}');
-        if (start && end) {
-            return this._parser.parse(message, 'discussions');
-        } else if (start) {
-            this._dOverflow = message;
-            return null;
-        } else if (end && this._dOverflow) {
-            const overflow = this._dOverflow;
-            this._dOverflow = '';
-            return this._parser.parse(`${overflow}${message}`, 'discussions');
-        } else if (this._dOverflow) {
-            this._dOverflow = `${this._dOverflow}${message}`;
-            return null;
+            await instance.setup(this._caches);
+            if (existing) {
+                await existing.kill();
+            }
+            this._modules[mod] = instance;
+            this._moduleConfigs[mod] = serialized;
+            return existing ? 'restarted' : 'started';
+        } catch (error) {
+            this._logger.error('Error while reloading module', mod, ':', error);
+            return `failed: ${error.message}`;
         }
-        return null;
     }
     /**
-     * Handles messages in the new users channel.
-     * @param {string} message Message to handle
-     * @returns {Message|null} Parsed message object, unless the message
-     * overflowed
-     * @private
+     * Dispatches a message received from an event source.
+     * @param {Message} message Message to dispatch
      */
-    _newusersMessage(message) {
-        if (message.endsWith('newusers')) {
-            return this._parser.parse(message, 'newusers');
+    async dispatch(message) {
+        if (message.error) {
+            await this._dispatchError(message);
+        } else {
+            await this._dispatchMessage(message);
         }
-        this._logger.error('Newusers message overflowed?', message);
-        return null;
     }
     /**
      * Dispatches the message to modules.
@@ -387,49 +433,77 @@ class Client {
         await this._fetchMessage(message, properties, interested);
     }
     /**
-     * Fetches additional information about a message.
+     * Fetches additional information about a message and dispatches it to
+     * modules interested in that information.
      * @param {Message} message Message whose information should be fetched
      * @param {string[]} properties Additional information to fetch
      * @param {Module[]} interested Modules interested in that information
      */
     async _fetchMessage(message, properties, interested) {
-        if (properties.length === 0) {
+        if (
+            properties.length === 0 ||
+            !await this.fetchMessage(message, properties)
+        ) {
             return;
         }
-        let successful = false;
+        for (const mod of interested) {
+            try {
+                await this._modules[mod].execute(message);
+            } catch (error) {
+                this._logger.error(
+                    'Dispatch error to module',
+                    mod,
+                    ':',
+                    error
+                );
+            }
+        }
+    }
+    /**
+     * Fetches additional information about a message, retrying failed
+     * fetches.
+     *
+     * If fetching keeps failing, optional information, such as diff
+     * previews, is given up on and only the rest of the information is
+     * fetched.
+     * @param {Message} message Message whose information should be fetched
+     * @param {string[]} properties Additional information to fetch
+     * @returns {Promise<boolean>} Whether all information that is not
+     * optional was fetched
+     */
+    async fetchMessage(message, properties) {
+        if (properties.length === 0) {
+            return true;
+        }
         const errors = [];
         const wait = promisify(setTimeout);
         for (let retry = 0; retry < FETCH_MAX_RETRIES; ++retry) {
             await wait(retry * FETCH_DELAY);
             try {
                 await message.fetch(this, properties);
-                successful = true;
-                break;
+                return true;
             } catch (error) {
                 errors.push(error);
                 message.cleanup();
             }
         }
-        if (!successful) {
+        const required = properties
+            .filter(property => !OPTIONAL_PROPERTIES.includes(property));
+        if (required.length === properties.length) {
             this._logger.error(
                 'Failed to fetch message information:',
                 message.toJSON(),
                 errors
             );
-            return;
-        }
-        for (const mod of interested) {
-            try {
-                await this._modules[mod].execute(message);
-            } catch (error) {
-                this._logger.error(
-                    'Dispatch error to module',
-                    mod,
-                    ':',
-                    error
-                );
-            }
+            return false;
         }
+        this._logger.warn(
+            'Failed to fetch optional message information, continuing ' +
+            'without it:',
+            message.toJSON(),
+            errors
+        );
+        return this.fetchMessage(message, required);
     }
     /**
      * Dispatches a message that failed to parse.
@@ -507,37 +581,6 @@ class Client {
             );
         }
     }
-    /**
-     * Handles a CTCP VERSION.
-     * @param {string} from User sending the CTCP
-     * @param {string} to User receiving the CTCP
-     * @private
-     */
-    _ctcpVersion(from, to) {
-        if (to === this._client.nick) {
-            this._client.notice(from, `VERSION ${util.USER_AGENT}`);
-        }
-    }
-    /**
-     * Checks whether all IRC channels have had recent activity and reports
-     * which ones have not.
-     * @private
-     */
-    _checkChannels() {
-        if (!this._monitoring) {
-            return;
-        }
-        const now = Date.now();
-        for (const channel in this._monitoring) {
-            if (this._monitoringFailed[channel]) {
-                continue;
-            }
-            if (now - this._monitoring[channel] > MONITORING_FAILED_INTERVAL) {
-                this._logger.error('ALERT: No recent messages in', channel);
-                this._monitoringFailed[channel] = true;
-            }
-        }
-    }
     /**
      * Cleans up the resources after a kill has been requested.
      * @private
@@ -556,23 +599,24 @@ class Client {
         // Quit client's logger.
         this._logger.info('Shutting down by user request...');
         this._logger.close();
-        if (this._monitoringInterval) {
-            clearInterval(this._monitoringInterval);
-        }
-        // Quit IRC.
-        if (
-            typeof this._client === 'object' &&
-            typeof this._client.disconnect === 'function'
-        ) {
-            await promisify(this._client.disconnect)
-                .call(this._client, 'User-requested shutdown.');
-        }
-        // Quit Redis client.
-        await this._cache.quit();
-        // Let modules quit what they have to quit.
+        // Stop accepting administrative commands.
+        if (this._admin) {
+            await this._admin.kill();
+        }
+        // Stop event sources.
+        for (const type in this._sources) {
+            await this._sources[type].kill();
+        }
+        /*
+         * Let modules quit what they have to quit. Their transports still
+         * use Redis while flushing or dead-lettering queued messages, so it
+         * is only quit afterwards.
+         */
         for (const mod in this._modules) {
             await this._modules[mod].kill();
         }
+        // Quit Redis client.
+        await this._cache.quit();
     }
     /**
      * Gets whether the debug mode is enabled.
@@ -581,6 +625,22 @@ class Client {
     get debug() {
         return this._debug;
     }
+    /**
+     * Gets whether a capture file is being replayed.
+     * @returns {boolean} Whether a capture file is being replayed instead of
+     * connecting to IRC
+     */
+    get replaying() {
+        return this._replaying;
+    }
+    /**
+     * Gets the administrative command server.
+     * @returns {Admin|undefined} The administrative command server, unless
+     * administrative commands are disabled
+     */
+    get admin() {
+        return this._admin;
+    }
     /**
      * Gets the Redis client.
      * @returns {Redis} The Redis client shared among modules
@@ -588,6 +648,28 @@ class Client {
     get cache() {
         return this._cache;
     }
+    /**
+     * Gets wikis whose activity is relayed by modules.
+     * @returns {object[]} Objects with `wiki`, `language` and `domain`
+     * properties, without duplicates
+     */
+    get wikis() {
+        const wikis = new Map();
+        for (const mod in this._modules) {
+            for (const wiki of this._modules[mod].wikis) {
+                const {wiki: name, language, domain} = wiki;
+                wikis.set(`${language}.${name}.${domain}`, wiki);
+            }
+        }
+        return Array.from(wikis.values());
+    }
+    /**
+     * Gets the message parser.
+     * @returns {Parser} The message parser shared among event sources
+     */
+    get parser() {
+        return this._parser;
+    }
     /**
      * Gets the HTTP client.
      * @returns {IO} The HTTP client shared among KockaLogger components
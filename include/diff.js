@@ -0,0 +1,129 @@
+/**
+ * diff.js
+ *
+ * Module for fetching previews of edit diffs through the MediaWiki API.
+ */
+'use strict';
+
+const IO = require('./io.js');
+const {decodeHTML} = require('./util.js');
+
+const SEPARATOR = ' … ';
+
+/**
+ * Fetches diffs of edits and turns them into short excerpts of added and
+ * removed text.
+ */
+class DiffPreview {
+    /**
+     * Fetches a preview of an edit's diff.
+     * @param {IO} io HTTP client
+     * @param {object} edit Edit message whose diff should be fetched
+     * @returns {Promise<object|null>} Added and removed text, or null if the
+     * edit has no diff or the diff is not available
+     * @throws {Error} If the API returns an unexpected response
+     * @static
+     */
+    static async fetch(io, edit) {
+        const {wiki, language, domain, flags, params} = edit;
+        if (flags.includes('N') || !params.oldid || !params.diff) {
+            return null;
+        }
+        const response = await io.query(wiki, language, domain, {
+            action: 'compare',
+            formatversion: 2,
+            fromrev: params.oldid,
+            prop: 'diff',
+            torev: params.diff
+        });
+        if (typeof response === 'object' && response.error) {
+            // The revisions were most likely deleted or suppressed.
+            return null;
+        }
+        if (
+            typeof response !== 'object' ||
+            typeof response.compare !== 'object' ||
+            typeof response.compare.body !== 'string'
+        ) {
+            throw new Error(`Invalid compare response: ${
+                JSON.stringify(response)
+            }`);
+        }
+        return DiffPreview.parse(response.compare.body);
+    }
+    /**
+     * Extracts added and removed text from a diff table.
+     * @param {string} html Diff table HTML
+     * @returns {object} Added and removed text, with wikitext markup removed
+     * @static
+     */
+    static parse(html) {
+        return {
+            added: DiffPreview._excerpt(html, 'diff-addedline', 'ins'),
+            removed: DiffPreview._excerpt(html, 'diff-deletedline', 'del')
+        };
+    }
+    /**
+     * Extracts text from one side of a diff table.
+     *
+     * Only the changed parts of changed lines are extracted, while added and
+     * removed lines are extracted whole.
+     * @param {string} html Diff table HTML
+     * @param {string} cls Class of table cells on that side of the diff
+     * @param {string} tag Tag marking changes inside a line
+     * @returns {string} Text from that side of the diff
+     * @static
+     * @private
+     */
+    static _excerpt(html, cls, tag) {
+        const cellRegex = new RegExp(
+            `<td class="[^"]*\\b${cls}\\b[^"]*"[^>]*>([\\s\\S]*?)</td>`,
+            'gu'
+        );
+        const changeRegex = new RegExp(
+            `<${tag}[^>]*>([\\s\\S]*?)</${tag}>`,
+            'gu'
+        );
+        const parts = [];
+        for (const [, cell] of html.matchAll(cellRegex)) {
+            const changes = Array.from(
+                cell.matchAll(changeRegex),
+                ([, change]) => change
+            );
+            parts.push(...changes.length ? changes : [cell]);
+        }
+        return parts
+            .map(part => DiffPreview.clean(
+                decodeHTML(part.replace(/<[^>]*>/gu, ''))
+            ))
+            .filter(Boolean)
+            .join(SEPARATOR);
+    }
+    /**
+     * Removes wikitext markup which would only clutter a preview.
+     * @param {string} wikitext Wikitext to clean up
+     * @returns {string} Readable text
+     * @static
+     */
+    static clean(wikitext) {
+        let text = wikitext
+            .replace(/<!--[\s\S]*?(?:-->|$)/gu, '')
+            .replace(/<ref[^>]*\/>|<ref[^>]*>[\s\S]*?(?:<\/ref>|$)/giu, '')
+            .replace(/<[^>]*>/gu, '');
+        let previous = null;
+        // Templates can be nested, so they are removed from the inside out.
+        do {
+            previous = text;
+            text = text.replace(/\{\{[^{}]*\}\}/gu, '');
+        } while (text !== previous);
+        return text
+            .replace(/\[\[(?:File|Image|Category):[^\]]*\]\]/giu, '')
+            .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/gu, '$1')
+            .replace(/\[https?:\/\/\S+\s([^\]]+)\]/gu, '$1')
+            .replace(/\[\[|\]\]|\{\{|\}\}|'{2,}|^[=*#:;]+|=+$/gu, '')
+            .replace(/\s+/gu, ' ')
+            .trim();
+    }
+}
+
+module.exports = DiffPreview;
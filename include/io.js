@@ -54,6 +54,24 @@ class IO {
         }
         return response;
     }
+    /**
+     * Calls a Fandom controller through `wikia.php`.
+     * @param {string} wiki Wiki to query
+     * @param {string} lang Language of the wiki to query
+     * @param {string} domain Domain of the wiki to query
+     * @param {object} options Query parameters, including the controller and
+     * its method
+     * @returns {Promise} Promise to listen for response
+     */
+    wikia(wiki, lang, domain, options) {
+        return this._client.get(`${util.url(wiki, lang, domain)}/wikia.php`, {
+            searchParams: {
+                cb: Date.now(),
+                format: 'json',
+                ...options
+            }
+        }).json();
+    }
     /**
      * Gets user info for users with specified user IDs.
      *
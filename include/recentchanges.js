@@ -0,0 +1,144 @@
+/**
+ * recentchanges.js
+ *
+ * Module for fetching recent changes through the MediaWiki API.
+ */
+'use strict';
+
+const IO = require('./io.js');
+
+const DEFAULT_LIMIT = 100;
+const MAX_PAGES = 10;
+const RC_PROPERTIES = [
+    'comment',
+    'flags',
+    'ids',
+    'loginfo',
+    'sizes',
+    'timestamp',
+    'title',
+    'user'
+];
+const LOG_PROPERTIES = [
+    'comment',
+    'details',
+    'ids',
+    'timestamp',
+    'title',
+    'type',
+    'user'
+];
+
+/**
+ * Fetches recent changes of wikis in chronological order.
+ */
+class RecentChanges {
+    /**
+     * Class constructor.
+     * @param {IO} io HTTP client
+     * @param {object} options Fetching options
+     * @param {number} options.limit Amount of entries to fetch per request
+     * @param {number} options.pages Maximum amount of requests per fetch
+     */
+    constructor(io, {limit, pages} = {}) {
+        this._io = io;
+        this._limit = typeof limit === 'number' ? limit : DEFAULT_LIMIT;
+        this._pages = typeof pages === 'number' ? pages : MAX_PAGES;
+        this._truncated = false;
+    }
+    /**
+     * Fetches recent changes on a wiki since a specified point in time,
+     * oldest first.
+     * @param {object} wiki Wiki whose recent changes should be fetched
+     * @param {string} wiki.wiki Subdomain of the wiki
+     * @param {string} wiki.language Language of the wiki
+     * @param {string} wiki.domain Domain of the wiki
+     * @param {string} start ISO 8601 timestamp of the oldest change to fetch
+     * @param {string} types Types of changes to fetch, separated by pipes
+     * @returns {Promise<object[]>} Recent changes entries
+     */
+    fetch(wiki, start, types = 'edit|new|log') {
+        return this._list(wiki, 'recentchanges', {
+            rcdir: 'newer',
+            rclimit: this._limit,
+            rcprop: RC_PROPERTIES.join('|'),
+            rcstart: start,
+            rctype: types
+        });
+    }
+    /**
+     * Fetches log events on a wiki since a specified point in time, oldest
+     * first.
+     *
+     * Log events are returned in the same shape as log entries from
+     * `list=recentchanges`, but without a recent changes ID.
+     * @param {object} wiki Wiki whose log events should be fetched
+     * @param {string} wiki.wiki Subdomain of the wiki
+     * @param {string} wiki.language Language of the wiki
+     * @param {string} wiki.domain Domain of the wiki
+     * @param {string} start ISO 8601 timestamp of the oldest event to fetch
+     * @returns {Promise<object[]>} Log events
+     */
+    async fetchLogs(wiki, start) {
+        const events = await this._list(wiki, 'logevents', {
+            ledir: 'newer',
+            lelimit: this._limit,
+            leprop: LOG_PROPERTIES.join('|'),
+            lestart: start
+        });
+        return events.map(event => ({
+            ...event,
+            logaction: event.action,
+            logparams: event.params,
+            logtype: event.type,
+            type: 'log'
+        }));
+    }
+    /**
+     * Fetches all pages of a query list, up to the configured maximum.
+     * @param {object} wiki Wiki to query
+     * @param {string} wiki.wiki Subdomain of the wiki
+     * @param {string} wiki.language Language of the wiki
+     * @param {string} wiki.domain Domain of the wiki
+     * @param {string} list Name of the list to query
+     * @param {object} options Query parameters
+     * @returns {Promise<object[]>} Entries in the list
+     * @throws {Error} If the API returns an unexpected response
+     * @private
+     */
+    async _list({wiki, language, domain}, list, options) {
+        const entries = [];
+        let cont = {};
+        for (let page = 0; page < this._pages && cont; ++page) {
+            const response = await this._io.query(wiki, language, domain, {
+                formatversion: 2,
+                list,
+                ...options,
+                ...cont
+            });
+            if (
+                typeof response !== 'object' ||
+                typeof response.query !== 'object' ||
+                !(response.query[list] instanceof Array)
+            ) {
+                throw new Error(`Invalid ${list} response: ${
+                    JSON.stringify(response)
+                }`);
+            }
+            entries.push(...response.query[list]);
+            cont = response.continue;
+        }
+        this._truncated = Boolean(cont);
+        return entries;
+    }
+    /**
+     * Gets whether the last fetch stopped after the maximum amount of
+     * requests, leaving out newer entries.
+     * @returns {boolean} Whether the last fetched entries are incomplete
+     */
+    get truncated() {
+        return this._truncated;
+    }
+}
+
+module.exports = RecentChanges;
@@ -0,0 +1,154 @@
+/**
+ * recorder.js
+ *
+ * Module for recording raw IRC traffic into rotating capture files.
+ */
+'use strict';
+
+const {Buffer} = require('buffer');
+const {createWriteStream} = require('fs');
+const {rename, stat} = require('fs/promises');
+const path = require('path');
+const {promisify} = require('util');
+const Logger = require('./log.js');
+
+const DEFAULT_FILE = 'logs/capture.jsonl';
+const DEFAULT_SIZE = 50 * 1024 * 1024;
+const DEFAULT_FILES = 5;
+
+/**
+ * Appends every raw line received by the client to a capture file, so it can
+ * later be replayed through the same pipeline.
+ */
+class Recorder {
+    /**
+     * Class constructor.
+     * @param {object} options Recorder options
+     * @param {string} options.file Path to the capture file
+     * @param {number} options.size Size in bytes after which the capture file
+     * gets rotated
+     * @param {number} options.files Amount of rotated capture files to keep
+     */
+    constructor({file, size, files}) {
+        this._file = path.resolve(
+            typeof file === 'string' ? file : DEFAULT_FILE
+        );
+        this._maxSize = typeof size === 'number' ? size : DEFAULT_SIZE;
+        this._maxFiles = typeof files === 'number' ? files : DEFAULT_FILES;
+        this._size = 0;
+        this._pending = [];
+        this._flushing = null;
+        this._logger = new Logger({
+            file: true,
+            name: 'recorder',
+            stdout: true
+        });
+    }
+    /**
+     * Records a raw line received from IRC.
+     * @param {string} channel Channel the line was sent to
+     * @param {string} user User who sent the line
+     * @param {string} message Line contents
+     */
+    record(channel, user, message) {
+        const line = `${JSON.stringify({
+            channel,
+            message,
+            time: Date.now(),
+            user
+        })}\n`;
+        this._pending.push(line);
+        if (!this._flushing) {
+            this._flushing = this._flush();
+        }
+    }
+    /**
+     * Writes pending lines to the capture file in the order they were
+     * recorded.
+     * @private
+     */
+    async _flush() {
+        while (this._pending.length > 0) {
+            const line = this._pending.shift();
+            try {
+                await this._write(line);
+            } catch (error) {
+                this._logger.error('Failed to record line:', error);
+            }
+        }
+        this._flushing = null;
+    }
+    /**
+     * Writes a line to the capture file, rotating it if necessary.
+     * @param {string} line Line to write
+     * @private
+     */
+    async _write(line) {
+        const length = Buffer.byteLength(line);
+        if (!this._stream) {
+            await this._open();
+        }
+        if (this._size > 0 && this._size + length > this._maxSize) {
+            await this._rotate();
+        }
+        await promisify(this._stream.write).call(this._stream, line);
+        this._size += length;
+    }
+    /**
+     * Opens the capture file for appending.
+     * @private
+     */
+    async _open() {
+        try {
+            this._size = (await stat(this._file)).size;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this._size = 0;
+        }
+        this._stream = createWriteStream(this._file, {flags: 'a'});
+    }
+    /**
+     * Closes the capture file stream.
+     * @private
+     */
+    async _closeStream() {
+        if (this._stream) {
+            const stream = this._stream;
+            delete this._stream;
+            await promisify(stream.end).call(stream);
+        }
+    }
+    /**
+     * Moves the current capture file to `<file>.1`, shifts older capture
+     * files by one and opens a new capture file.
+     * @private
+     */
+    async _rotate() {
+        await this._closeStream();
+        for (let i = this._maxFiles - 1; i >= 0; --i) {
+            const from = i === 0 ? this._file : `${this._file}.${i}`;
+            try {
+                await rename(from, `${this._file}.${i + 1}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        await this._open();
+    }
+    /**
+     * Waits for pending lines to be written and closes the capture file.
+     */
+    async close() {
+        if (this._flushing) {
+            await this._flushing;
+        }
+        await this._closeStream();
+        this._logger.close();
+    }
+}
+
+module.exports = Recorder;
@@ -0,0 +1,91 @@
+/**
+ * replayer.js
+ *
+ * Module for replaying IRC traffic recorded by the recorder.
+ */
+'use strict';
+
+const {createReadStream} = require('fs');
+const {createInterface} = require('readline');
+const {promisify} = require('util');
+
+/**
+ * Reads a capture file and hands every recorded line to a handler.
+ */
+class Replayer {
+    /**
+     * Class constructor.
+     * @param {string} file Path to the capture file
+     * @param {object} options Replay options
+     * @param {boolean} options.realtime Whether the lines should be replayed
+     * with the same delays between them as when they were recorded
+     */
+    constructor(file, {realtime}) {
+        this._file = file;
+        this._realtime = Boolean(realtime);
+    }
+    /**
+     * Replays the capture file.
+     * @param {Function} handler Asynchronous function called with the
+     * recorded user, channel and message of every line, in that order
+     * @returns {Promise<object>} Amount of replayed and skipped lines
+     */
+    async run(handler) {
+        const wait = promisify(setTimeout);
+        const lines = createInterface({
+            crlfDelay: Infinity,
+            input: createReadStream(this._file)
+        });
+        let lastTime = null;
+        let replayed = 0;
+        let skipped = 0;
+        for await (const line of lines) {
+            const entry = this._parse(line);
+            if (!entry) {
+                if (line.trim()) {
+                    ++skipped;
+                }
+                continue;
+            }
+            const {channel, user, message, time} = entry;
+            if (this._realtime && typeof time === 'number') {
+                if (lastTime !== null && time > lastTime) {
+                    await wait(time - lastTime);
+                }
+                lastTime = time;
+            }
+            await handler(user, channel, message);
+            ++replayed;
+        }
+        return {
+            replayed,
+            skipped
+        };
+    }
+    /**
+     * Parses a line from the capture file.
+     * @param {string} line Line to parse
+     * @returns {object|null} Recorded channel, user and message, if the line
+     * is valid
+     * @private
+     */
+    _parse(line) {
+        try {
+            const entry = JSON.parse(line);
+            if (
+                typeof entry === 'object' &&
+                entry !== null &&
+                typeof entry.channel === 'string' &&
+                typeof entry.user === 'string' &&
+                typeof entry.message === 'string'
+            ) {
+                return entry;
+            }
+        } catch (_error) {
+            // Invalid lines are counted as skipped.
+        }
+        return null;
+    }
+}
+
+module.exports = Replayer;
@@ -0,0 +1,220 @@
+/**
+ * validator.js
+ *
+ * Module for validating KockaLogger configuration against its schema.
+ */
+'use strict';
+
+const Ajv = require('ajv');
+const schema = require('./schema.json');
+const Expression = require('../modules/logger/expression.js');
+const Templates = require('../formats/logger/templates.js');
+
+/**
+ * Checks whether a filter expression compiles.
+ * @param {boolean} enabled Whether the expression should be checked
+ * @param {string} expression Filter expression
+ * @returns {boolean} Whether the expression compiles
+ */
+function validateExpression(enabled, expression) {
+    if (!enabled) {
+        return true;
+    }
+    try {
+        // eslint-disable-next-line no-new
+        new Expression(expression);
+        return true;
+    } catch (error) {
+        validateExpression.errors = [{
+            keyword: 'filterExpression',
+            message: error.message,
+            params: {}
+        }];
+        return false;
+    }
+}
+
+/**
+ * Checks whether logger format templates load and are valid.
+ * @param {boolean} enabled Whether the templates should be checked
+ * @param {string|object} templates Path to a templates file or a map of
+ * message keys to templates
+ * @returns {boolean} Whether the templates are valid
+ */
+function validateTemplates(enabled, templates) {
+    if (!enabled) {
+        return true;
+    }
+    try {
+        // eslint-disable-next-line no-new
+        new Templates(templates);
+        return true;
+    } catch (error) {
+        validateTemplates.errors = [{
+            keyword: 'loggerTemplates',
+            message: error.message,
+            params: {}
+        }];
+        return false;
+    }
+}
+
+/**
+ * Validates KockaLogger configuration and describes the problems found in a
+ * readable manner.
+ */
+class ConfigValidator {
+    /**
+     * Class constructor.
+     */
+    constructor() {
+        const ajv = new Ajv({
+            allErrors: true,
+            allowUnionTypes: true
+        });
+        ajv.addKeyword({
+            errors: true,
+            keyword: 'filterExpression',
+            schemaType: 'boolean',
+            type: 'string',
+            validate: validateExpression
+        });
+        ajv.addKeyword({
+            errors: true,
+            keyword: 'loggerTemplates',
+            schemaType: 'boolean',
+            type: ['string', 'object'],
+            validate: validateTemplates
+        });
+        this._validate = ajv.compile(schema);
+    }
+    /**
+     * Validates KockaLogger configuration.
+     * @param {object} config KockaLogger configuration
+     * @returns {string[]} Problems found in the configuration, each prefixed
+     * with the JSON path of the value it concerns
+     */
+    validate(config) {
+        if (this._validate(config)) {
+            return [];
+        }
+        const problems = this._collapse(this._validate.errors)
+            .map(error => this._describe(error));
+        return Array.from(new Set(problems)).sort();
+    }
+    /**
+     * Removes errors that do not help with finding the problem.
+     *
+     * Errors from `if` keywords only repeat errors from their `then`
+     * schemas. When a value matches none of the schemas in an `anyOf`,
+     * errors from inside the value are kept if there are any, as they are
+     * more precise, and otherwise all alternatives are merged into one error.
+     * @param {object[]} errors Errors reported by the schema validator
+     * @returns {object[]} Errors worth reporting
+     * @private
+     */
+    _collapse(errors) {
+        const dropped = new Set();
+        const merged = [];
+        for (const error of errors) {
+            if (error.keyword === 'if') {
+                dropped.add(error);
+            }
+            if (error.keyword !== 'anyOf') {
+                continue;
+            }
+            const prefix = `${error.schemaPath}/`;
+            const alternatives = errors.filter(e => e.schemaPath
+                .startsWith(prefix) && e.instancePath === error.instancePath);
+            const nested = errors.some(e => e.instancePath
+                .startsWith(`${error.instancePath}/`));
+            dropped.add(error);
+            for (const alternative of alternatives) {
+                dropped.add(alternative);
+            }
+            if (!nested) {
+                merged.push({
+                    ...error,
+                    merged: true,
+                    message: alternatives
+                        .map(e => this._message(e, true))
+                        .join(', or ')
+                });
+            }
+        }
+        return [
+            ...errors.filter(error => !dropped.has(error)),
+            ...merged
+        ];
+    }
+    /**
+     * Describes a single validation error.
+     * @param {object} error Error reported by the schema validator
+     * @returns {string} Description of the error, prefixed with its JSON path
+     * @private
+     */
+    _describe(error) {
+        const {instancePath, keyword, params, merged} = error;
+        if (merged) {
+            return `${this._path(instancePath)}: ${error.message}`;
+        }
+        let pointer = instancePath;
+        if (keyword === 'additionalProperties') {
+            pointer += `/${params.additionalProperty}`;
+        } else if (keyword === 'required') {
+            pointer += `/${params.missingProperty}`;
+        }
+        return `${this._path(pointer)}: ${this._message(error)}`;
+    }
+    /**
+     * Converts a JSON pointer into a JSON path.
+     * @param {string} pointer JSON pointer to convert
+     * @returns {string} JSON path pointing to the same value
+     * @private
+     */
+    _path(pointer) {
+        return pointer
+            .split('/')
+            .slice(1)
+            .map(segment => segment.replace(/~1/gu, '/').replace(/~0/gu, '~'))
+            .map(segment => (
+                /^\d+$/u.test(segment) ?
+                    `[${segment}]` :
+                    /^[a-z_$][\w$]*$/iu.test(segment) ?
+                        `.${segment}` :
+                        `[${JSON.stringify(segment)}]`
+            ))
+            .reduce((path, segment) => `${path}${segment}`, '$');
+    }
+    /**
+     * Gets a readable message for a single validation error.
+     * @param {object} error Error reported by the schema validator
+     * @param {boolean} standalone Whether the message is shown without the
+     * path to the property it concerns
+     * @returns {string} Error message
+     * @private
+     */
+    _message(error, standalone = false) {
+        const {keyword, params, message} = error;
+        switch (keyword) {
+            case 'additionalProperties':
+                return standalone ?
+                    `unknown property "${params.additionalProperty}"` :
+                    'unknown property';
+            case 'required':
+                return standalone ?
+                    `missing required property "${params.missingProperty}"` :
+                    'missing required property';
+            case 'const':
+                return `must be ${JSON.stringify(params.allowedValue)}`;
+            case 'enum':
+                return `must be one of ${params.allowedValues
+                    .map(value => JSON.stringify(value))
+                    .join(', ')}`;
+            default:
+                return message;
+        }
+    }
+}
+
+module.exports = ConfigValidator;
@@ -6,8 +6,12 @@
  */
 'use strict';
 
+const {readFile} = require('fs/promises');
+const path = require('path');
 const process = require('process');
+const Admin = require('./include/admin.js');
 const Client = require('./include/client.js');
+const ConfigValidator = require('./include/validator.js');
 const IO = require('./include/io.js');
 const Logger = require('./include/log.js');
 const Loader = require('./messages/main.js');
@@ -29,6 +33,19 @@ function option(opt) {
     return arg;
 }
 
+/**
+ * Gets the value passed to an option in executable arguments.
+ * @param {string} opt Option whose value should be retrieved
+ * @returns {string|null} Value of the option, if specified
+ */
+function optionValue(opt) {
+    const index = argv.indexOf(`--${opt}`);
+    if (index === -1 || index === argv.length - 1) {
+        return null;
+    }
+    return argv[index + 1];
+}
+
 /**
  * Load the configuration.
  */
@@ -48,6 +65,23 @@ try {
     exit(1);
 }
 
+/**
+ * Validate the configuration.
+ */
+const validator = new ConfigValidator();
+const problems = validator.validate(config);
+if (problems.length > 0) {
+    console.error(
+        `Found ${problems.length} problem(s) in config.json:\n${
+            problems.join('\n')
+        }`
+    );
+    exit(1);
+} else if (option('check-config')) {
+    console.info('No problems found in config.json.');
+    exit(0);
+}
+
 let client = null;
 let loader = null;
 
@@ -63,10 +97,55 @@ async function kill() {
     }
 }
 
+/**
+ * Reload the configuration of a running KockaLogger instance.
+ * @returns {Promise<string>} Summary of reloaded modules
+ */
+async function reload() {
+    if (!client) {
+        return 'KockaLogger is not running yet.';
+    }
+    try {
+        const newConfig = JSON.parse(await readFile(
+            path.resolve(__dirname, 'config.json'),
+            'utf8'
+        ));
+        const newProblems = validator.validate(newConfig);
+        if (newProblems.length > 0) {
+            const message = `Found ${newProblems.length} problem(s) in ` +
+                `config.json, not reloading:\n${newProblems.join('\n')}`;
+            console.error(message);
+            return message;
+        }
+        return await client.reload(newConfig);
+    } catch (error) {
+        console.error('Failed to reload configuration:', error);
+        return `Failed to reload configuration: ${error.message}`;
+    }
+}
+
+/**
+ * Send an administrative command to a running KockaLogger instance.
+ * @param {string} command Command to send
+ */
+async function sendCommand(command) {
+    try {
+        console.info(await Admin.send(config.client.admin, command));
+    } catch (error) {
+        console.error('Failed to send command:', error.message);
+        exit(1);
+    }
+}
+
 /**
  * Run KockaLogger.
  */
 async function main() {
+    const command = optionValue('command');
+    if (command) {
+        await sendCommand(command);
+        return;
+    }
     const fetch = option('fetch');
     const debug = option('debug');
     Logger.setup(config, debug, new IO());
@@ -79,9 +158,26 @@ async function main() {
         await kill();
         return;
     }
-    client = new Client(config, {debug});
+    const replay = optionValue('replay');
+    client = new Client(config, {
+        debug,
+        realtime: option('realtime'),
+        record: option('record'),
+        replay
+    });
+    if (client.admin) {
+        client.admin.register(
+            'reload',
+            'Reloads the configuration from config.json.',
+            reload
+        );
+    }
     await client.run(caches, loader);
+    if (replay) {
+        await kill();
+    }
 }
 
 process.on('SIGINT', kill);
+process.on('SIGHUP', reload);
 main();
@@ -0,0 +1,161 @@
+/**
+ * categories.js
+ *
+ * Module for tracking members of watched categories.
+ */
+'use strict';
+
+const Redis = require('ioredis');
+const IO = require('../../include/io.js');
+const Logger = require('../../include/log.js');
+
+const DEFAULT_REFRESH = 60 * 60 * 1000;
+const MAX_PAGES = 50;
+
+/**
+ * Keeps track of pages in watched categories on wikis, refreshing them
+ * periodically and caching them in Redis.
+ */
+class CategoryWatcher {
+    /**
+     * Class constructor.
+     * @param {IO} io HTTP client
+     * @param {Redis} cache Redis client
+     * @param {string[]} categories Names of watched categories, with or
+     * without the namespace prefix
+     * @param {number} refresh Interval in milliseconds in which category
+     * members are refreshed
+     */
+    constructor(io, cache, categories, refresh) {
+        this._io = io;
+        this._cache = cache;
+        this._categories = categories.map(
+            category => category.replace(/^Category:/iu, '').replace(/_/gu, ' ')
+        );
+        this._refresh = typeof refresh === 'number' ? refresh : DEFAULT_REFRESH;
+        this._wikis = new Map();
+        this._logger = new Logger({
+            file: true,
+            name: 'categories',
+            stdout: true
+        });
+    }
+    /**
+     * Checks whether a page is in any of the watched categories.
+     * @param {string} title Page title
+     * @param {string} wiki Subdomain of the wiki
+     * @param {string} language Language of the wiki
+     * @param {string} domain Domain of the wiki
+     * @returns {Promise<boolean>} Whether the page is in a watched category
+     */
+    async includes(title, wiki, language, domain) {
+        const key = `${language}.${wiki}.${domain}`;
+        let state = this._wikis.get(key);
+        if (!state) {
+            state = {
+                members: new Set()
+            };
+            state.loading = this._load(state, wiki, language, domain, false);
+            state.interval = setInterval(
+                this._load.bind(this, state, wiki, language, domain, true),
+                this._refresh
+            );
+            this._wikis.set(key, state);
+        }
+        await state.loading;
+        return state.members.has(title);
+    }
+    /**
+     * Loads members of watched categories on a wiki.
+     * @param {object} state Watched categories state for the wiki
+     * @param {string} wiki Subdomain of the wiki
+     * @param {string} language Language of the wiki
+     * @param {string} domain Domain of the wiki
+     * @param {boolean} refresh Whether members cached in Redis should be
+     * ignored
+     * @private
+     */
+    async _load(state, wiki, language, domain, refresh) {
+        const members = new Set();
+        for (const category of this._categories) {
+            const key = `logger:categories:${language}:${wiki}:${domain}:${
+                category
+            }`;
+            try {
+                const cached = refresh ? null : await this._cache.get(key);
+                const titles = cached ?
+                    JSON.parse(cached) :
+                    await this._fetch(category, wiki, language, domain);
+                if (!cached) {
+                    await this._cache
+                        .multi()
+                        .set(key, JSON.stringify(titles))
+                        .pexpire(key, this._refresh)
+                        .exec();
+                }
+                for (const title of titles) {
+                    members.add(title);
+                }
+            } catch (error) {
+                this._logger.error(
+                    'Failed to load members of category',
+                    category,
+                    'on',
+                    `${language}.${wiki}.${domain}:`,
+                    error
+                );
+                // Keep the previously known members of the category.
+                for (const title of state.members) {
+                    members.add(title);
+                }
+            }
+        }
+        state.members = members;
+    }
+    /**
+     * Fetches members of a category from the MediaWiki API.
+     * @param {string} category Category name, without the namespace prefix
+     * @param {string} wiki Subdomain of the wiki
+     * @param {string} language Language of the wiki
+     * @param {string} domain Domain of the wiki
+     * @returns {Promise<string[]>} Titles of pages in the category
+     * @throws {Error} If the API returns an unexpected response
+     * @private
+     */
+    async _fetch(category, wiki, language, domain) {
+        const titles = [];
+        let cont = {};
+        for (let page = 0; page < MAX_PAGES && cont; ++page) {
+            const response = await this._io.query(wiki, language, domain, {
+                cmlimit: 'max',
+                cmprop: 'title',
+                cmtitle: `Category:${category}`,
+                list: 'categorymembers',
+                ...cont
+            });
+            if (
+                typeof response !== 'object' ||
+                typeof response.query !== 'object' ||
+                !(response.query.categorymembers instanceof Array)
+            ) {
+                throw new Error(`Invalid category members response: ${
+                    JSON.stringify(response)
+                }`);
+            }
+            titles.push(...response.query.categorymembers.map(m => m.title));
+            cont = response.continue;
+        }
+        return titles;
+    }
+    /**
+     * Stops refreshing category members.
+     */
+    kill() {
+        this._logger.close();
+        for (const {interval} of this._wikis.values()) {
+            clearInterval(interval);
+        }
+    }
+}
+
+module.exports = CategoryWatcher;
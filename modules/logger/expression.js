@@ -0,0 +1,561 @@
+/**
+ * expression.js
+ *
+ * Module for compiling and evaluating filter expressions.
+ */
+'use strict';
+
+const {isIP} = require('net');
+const {isIPRange} = require('../../include/util.js');
+const Message = require('../../parser/msg.js');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const MONTH = 30 * DAY;
+const YEAR = 365 * DAY;
+const DURATION_UNITS = {
+    d: DAY,
+    h: HOUR,
+    min: MINUTE,
+    mo: MONTH,
+    s: SECOND,
+    w: WEEK,
+    y: YEAR
+};
+const EXPIRY_UNITS = {
+    day: DAY,
+    hour: HOUR,
+    minute: MINUTE,
+    month: MONTH,
+    second: SECOND,
+    week: WEEK,
+    year: YEAR
+};
+const INFINITE_EXPIRIES = ['infinite', 'indefinite', 'infinity', 'never'];
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false', 'null'];
+const COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+const TOKEN_REGEX = {
+    duration: /^(\d+(?:\.\d+)?)(min|mo|[shdwy])\b/u,
+    identifier: /^[a-z_][\w]*(?:\.[a-z_][\w]*)*/iu,
+    number: /^\d+(?:\.\d+)?\b/u,
+    operator: /^(?:==|!=|<=|>=|=~|!~|<|>|\(|\)|\[|\]|,|-)/u,
+    regex: /^\/((?:\\.|[^\\/])*)\/([a-z]*)/u,
+    string: /^(?:"((?:\\.|[^\\"])*)"|'((?:\\.|[^\\'])*)')/u,
+    whitespace: /^\s+/u
+};
+
+/**
+ * Parses a MediaWiki expiry, such as `2 weeks` or `infinite`.
+ * @param {*} expiry Expiry to parse
+ * @returns {number} Duration in milliseconds, `Infinity` for indefinite
+ * durations or `NaN` if the expiry could not be parsed
+ */
+function parseExpiry(expiry) {
+    if (typeof expiry !== 'string') {
+        return NaN;
+    }
+    const normalized = expiry.trim().toLowerCase();
+    if (INFINITE_EXPIRIES.includes(normalized)) {
+        return Infinity;
+    }
+    const regex = /(\d+(?:\.\d+)?)\s*([a-z]+?)s?(?:\s+|,\s*|$)/guy;
+    let duration = 0;
+    let lastIndex = 0;
+    for (const [match, amount, unit] of normalized.matchAll(regex)) {
+        if (!EXPIRY_UNITS[unit]) {
+            return NaN;
+        }
+        duration += Number(amount) * EXPIRY_UNITS[unit];
+        lastIndex += match.length;
+    }
+    return lastIndex === normalized.length && lastIndex > 0 ?
+        duration :
+        NaN;
+}
+
+const FUNCTIONS = {
+    duration: parseExpiry,
+    ip: value => typeof value === 'string' &&
+        (isIP(value) !== 0 || isIPRange(value)),
+    length: value => (
+        typeof value === 'string' || value instanceof Array ?
+            value.length :
+            0
+    ),
+    lower: value => (
+        typeof value === 'string' ? value.toLowerCase() : value
+    )
+};
+
+/**
+ * Boolean expression over message fields, compiled once and evaluated
+ * against every message.
+ *
+ * Supported syntax, from the lowest to the highest precedence:
+ * - `a or b`, `a and b`, `not a`
+ * - comparisons `==`, `!=`, `<`, `<=`, `>`, `>=`, regular expression matches
+ * `=~` and `!~`, and list membership `in` and `not in`
+ * - string, number, duration (`30d`), regular expression (`/^Foo/i`),
+ * list (`[1, 2]`), `true`, `false` and `null` literals, message fields
+ * (`params.diff`), function calls (`ip(user)`) and parentheses
+ */
+class Expression {
+    /**
+     * Class constructor.
+     * @param {string} source Expression to compile
+     * @throws {Error} If the expression has a syntax error
+     */
+    constructor(source) {
+        if (typeof source !== 'string') {
+            throw new Error('Filter expression must be a string!');
+        }
+        this._source = source;
+        this._tokens = this._tokenize(source);
+        this._index = 0;
+        this._evaluate = this._parseOr();
+        if (this._peek().type !== 'end') {
+            this._syntaxError('Unexpected token');
+        }
+        delete this._tokens;
+    }
+    /**
+     * Evaluates the expression against a message.
+     * @param {Message} message Message to evaluate the expression against
+     * @returns {boolean} Whether the message matches the expression
+     */
+    evaluate(message) {
+        return Boolean(this._evaluate(message));
+    }
+    /**
+     * Splits an expression into tokens.
+     * @param {string} source Expression to split
+     * @returns {object[]} Tokens, each with its type, value and position
+     * @private
+     */
+    _tokenize(source) {
+        const tokens = [];
+        let position = 0;
+        while (position < source.length) {
+            const rest = source.substring(position);
+            const token = this._token(rest, position);
+            if (token.type !== 'whitespace') {
+                tokens.push(token);
+            }
+            position += token.length;
+        }
+        tokens.push({
+            position,
+            type: 'end'
+        });
+        return tokens;
+    }
+    /**
+     * Reads a single token from the start of a string.
+     * @param {string} rest Unprocessed part of the expression
+     * @param {number} position Position of the token in the expression
+     * @returns {object} Read token
+     * @throws {Error} If no token could be read
+     * @private
+     */
+    _token(rest, position) {
+        for (const [type, regex] of Object.entries(TOKEN_REGEX)) {
+            const match = rest.match(regex);
+            if (!match) {
+                continue;
+            }
+            const token = {
+                length: match[0].length,
+                position,
+                type,
+                value: match[0]
+            };
+            switch (type) {
+                case 'duration':
+                    token.value = Number(match[1]) * DURATION_UNITS[match[2]];
+                    break;
+                case 'number':
+                    token.value = Number(match[0]);
+                    break;
+                case 'string':
+                    token.value = this._unescape(match[1] ?? match[2]);
+                    break;
+                case 'regex':
+                    token.value = this._regex(match[1], match[2], position);
+                    break;
+                case 'identifier':
+                    if (KEYWORDS.includes(match[0])) {
+                        token.type = 'keyword';
+                    }
+                    break;
+                default:
+                    break;
+            }
+            return token;
+        }
+        return this._syntaxError('Unexpected character', position);
+    }
+    /**
+     * Removes backslash escapes from a string literal.
+     * @param {string} string String literal contents
+     * @returns {string} Unescaped string
+     * @private
+     */
+    _unescape(string) {
+        return string.replace(/\\(.)/gu, '$1');
+    }
+    /**
+     * Compiles a regular expression literal.
+     * @param {string} pattern Regular expression pattern
+     * @param {string} flags Regular expression flags
+     * @param {number} position Position of the literal in the expression
+     * @returns {RegExp} Compiled regular expression
+     * @throws {Error} If the regular expression is invalid
+     * @private
+     */
+    _regex(pattern, flags, position) {
+        try {
+            return new RegExp(pattern, flags);
+        } catch (error) {
+            return this._syntaxError(error.message, position);
+        }
+    }
+    /**
+     * Reports a syntax error.
+     * @param {string} message Error message
+     * @param {number} position Position of the error in the expression,
+     * defaults to the position of the current token
+     * @throws {Error} Always
+     * @private
+     */
+    _syntaxError(message, position = this._peek().position) {
+        const error = new Error(`${message} at position ${position + 1} ` +
+            `of filter expression: ${this._source}`);
+        error.position = position;
+        throw error;
+    }
+    /**
+     * Gets the current token without consuming it.
+     * @returns {object} Current token
+     * @private
+     */
+    _peek() {
+        return this._tokens[this._index];
+    }
+    /**
+     * Consumes the current token if it matches.
+     * @param {string} type Expected token type
+     * @param {string} value Expected token value
+     * @returns {object|null} Consumed token, if it matched
+     * @private
+     */
+    _accept(type, value) {
+        const token = this._peek();
+        if (
+            token.type === type &&
+            (value === undefined || token.value === value)
+        ) {
+            ++this._index;
+            return token;
+        }
+        return null;
+    }
+    /**
+     * Consumes the current token, requiring it to match.
+     * @param {string} type Expected token type
+     * @param {string} value Expected token value
+     * @returns {object} Consumed token
+     * @throws {Error} If the token does not match
+     * @private
+     */
+    _expect(type, value) {
+        const token = this._accept(type, value);
+        if (!token) {
+            this._syntaxError(`Expected "${value || type}"`);
+        }
+        return token;
+    }
+    /**
+     * Parses a disjunction.
+     * @returns {Function} Compiled disjunction
+     * @private
+     */
+    _parseOr() {
+        const operands = [this._parseAnd()];
+        while (this._accept('keyword', 'or')) {
+            operands.push(this._parseAnd());
+        }
+        if (operands.length === 1) {
+            return operands[0];
+        }
+        return message => operands.some(operand => operand(message));
+    }
+    /**
+     * Parses a conjunction.
+     * @returns {Function} Compiled conjunction
+     * @private
+     */
+    _parseAnd() {
+        const operands = [this._parseNot()];
+        while (this._accept('keyword', 'and')) {
+            operands.push(this._parseNot());
+        }
+        if (operands.length === 1) {
+            return operands[0];
+        }
+        return message => operands.every(operand => operand(message));
+    }
+    /**
+     * Parses a negation.
+     * @returns {Function} Compiled negation
+     * @private
+     */
+    _parseNot() {
+        if (this._accept('keyword', 'not')) {
+            const operand = this._parseNot();
+            return message => !operand(message);
+        }
+        return this._parseComparison();
+    }
+    /**
+     * Parses a comparison, regular expression match or list membership
+     * check.
+     * @returns {Function} Compiled comparison
+     * @private
+     */
+    _parseComparison() {
+        const left = this._parseOperand();
+        const token = this._peek();
+        if (token.type === 'operator' && COMPARISONS.includes(token.value)) {
+            ++this._index;
+            return this._compare(token.value, left, this._parseOperand());
+        }
+        if (this._accept('operator', '=~')) {
+            return this._match(left, this._parseRegex());
+        }
+        if (this._accept('operator', '!~')) {
+            const match = this._match(left, this._parseRegex());
+            return message => !match(message);
+        }
+        if (this._accept('keyword', 'in')) {
+            return this._contains(left, this._parseOperand());
+        }
+        if (token.type === 'keyword' && token.value === 'not') {
+            const next = this._tokens[this._index + 1];
+            if (next.type === 'keyword' && next.value === 'in') {
+                this._index += 2;
+                const contains = this._contains(left, this._parseOperand());
+                return message => !contains(message);
+            }
+        }
+        return left;
+    }
+    /**
+     * Compiles a comparison.
+     * @param {string} operator Comparison operator
+     * @param {Function} left Compiled left operand
+     * @param {Function} right Compiled right operand
+     * @returns {Function} Compiled comparison
+     * @private
+     */
+    _compare(operator, left, right) {
+        return function(message) {
+            const a = left(message);
+            const b = right(message);
+            switch (operator) {
+                case '==': return a === b;
+                case '!=': return a !== b;
+                default: break;
+            }
+            if (
+                typeof a !== typeof b ||
+                !['number', 'string'].includes(typeof a)
+            ) {
+                return false;
+            }
+            switch (operator) {
+                case '<': return a < b;
+                case '<=': return a <= b;
+                case '>': return a > b;
+                default: return a >= b;
+            }
+        };
+    }
+    /**
+     * Parses the regular expression on the right side of a match.
+     * @returns {RegExp} Regular expression
+     * @private
+     */
+    _parseRegex() {
+        const token = this._peek();
+        if (token.type === 'regex') {
+            ++this._index;
+            return token.value;
+        }
+        if (token.type === 'string') {
+            ++this._index;
+            return this._regex(token.value, 'u', token.position);
+        }
+        return this._syntaxError('Expected a regular expression');
+    }
+    /**
+     * Compiles a regular expression match.
+     * @param {Function} left Compiled operand to match
+     * @param {RegExp} regex Regular expression to match against
+     * @returns {Function} Compiled match
+     * @private
+     */
+    _match(left, regex) {
+        return function(message) {
+            const value = left(message);
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return false;
+            }
+            regex.lastIndex = 0;
+            return regex.test(String(value));
+        };
+    }
+    /**
+     * Compiles a list membership check.
+     *
+     * If the right operand is a string, checks whether it contains the left
+     * operand instead.
+     * @param {Function} left Compiled operand to look for
+     * @param {Function} right Compiled list to look in
+     * @returns {Function} Compiled membership check
+     * @private
+     */
+    _contains(left, right) {
+        return function(message) {
+            const value = left(message);
+            const list = right(message);
+            if (list instanceof Array) {
+                return list.includes(value);
+            }
+            if (typeof list === 'string' && typeof value === 'string') {
+                return list.includes(value);
+            }
+            return false;
+        };
+    }
+    /**
+     * Parses a literal, list, field, function call or parenthesized
+     * expression.
+     * @returns {Function} Compiled operand
+     * @private
+     */
+    _parseOperand() {
+        const token = this._peek();
+        ++this._index;
+        switch (token.type) {
+            case 'number':
+            case 'duration':
+            case 'string':
+                return () => token.value;
+            case 'keyword':
+                return this._parseConstant(token);
+            case 'identifier':
+                return this._parseIdentifier(token);
+            case 'operator':
+                return this._parseOperator(token);
+            default:
+                break;
+        }
+        --this._index;
+        return this._syntaxError('Expected an operand');
+    }
+    /**
+     * Compiles a constant keyword.
+     * @param {object} token Keyword token
+     * @returns {Function} Compiled constant
+     * @throws {Error} If the keyword is not a constant
+     * @private
+     */
+    _parseConstant(token) {
+        switch (token.value) {
+            case 'true': return () => true;
+            case 'false': return () => false;
+            case 'null': return () => null;
+            default:
+                return this._syntaxError('Expected an operand', token.position);
+        }
+    }
+    /**
+     * Parses a message field or a function call.
+     * @param {object} token Identifier token
+     * @returns {Function} Compiled field access or function call
+     * @private
+     */
+    _parseIdentifier(token) {
+        if (!this._accept('operator', '(')) {
+            const path = token.value.split('.');
+            return message => path.reduce(
+                (value, key) => (
+                    typeof value === 'object' && value !== null ?
+                        value[key] :
+                        undefined
+                ),
+                message
+            );
+        }
+        const func = FUNCTIONS[token.value];
+        if (!func) {
+            this._syntaxError(
+                `Unknown function "${token.value}"`,
+                token.position
+            );
+        }
+        const argument = this._parseOr();
+        this._expect('operator', ')');
+        return message => func(argument(message));
+    }
+    /**
+     * Parses an operand starting with an operator: a negative number, a list
+     * or a parenthesized expression.
+     * @param {object} token Operator token
+     * @returns {Function} Compiled operand
+     * @private
+     */
+    _parseOperator(token) {
+        switch (token.value) {
+            case '-': {
+                const operand = this._parseOperand();
+                return function(message) {
+                    const value = operand(message);
+                    return typeof value === 'number' ? -value : NaN;
+                };
+            }
+            case '[':
+                return this._parseList();
+            case '(': {
+                const expression = this._parseOr();
+                this._expect('operator', ')');
+                return expression;
+            }
+            default:
+                return this._syntaxError(
+                    'Expected an operand',
+                    token.position
+                );
+        }
+    }
+    /**
+     * Parses a list literal.
+     * @returns {Function} Compiled list
+     * @private
+     */
+    _parseList() {
+        const items = [];
+        if (!this._accept('operator', ']')) {
+            do {
+                items.push(this._parseOperand());
+            } while (this._accept('operator', ','));
+            this._expect('operator', ']');
+        }
+        return message => items.map(item => item(message));
+    }
+}
+
+module.exports = Expression;
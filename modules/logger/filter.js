@@ -5,8 +5,26 @@
  */
 'use strict';
 
+const {createHash} = require('crypto');
+const CategoryWatcher = require('./categories.js');
+const Expression = require('./expression.js');
+const UserGroups = require('./groups.js');
+const Client = require('../../include/client.js');
+const {escapeRegex} = require('../../include/util.js');
 const Message = require('../../parser/msg.js');
 
+const TARGET_USER_LOGS = ['block', 'rights'];
+const REGEX_PATTERN = /^\/(.*)\/([a-z]*)$/su;
+const GLOB_WILDCARDS = {
+    '*': '.*',
+    '?': '.'
+};
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_REGEX = /^(\d{1,2}):(\d{2})$/u;
+const DEFAULT_RATE_WINDOW = 60 * 1000;
+
+let rateFilters = 0;
+
 /**
  * Class for filtering wiki activity.
  */
@@ -14,16 +32,19 @@ class Filter {
     /**
      * Class constructor.
      * @param {object} config Filter configuration
+     * @param {Client} client Client instance
+     * @throws {Error} If the filter expression has a syntax error
      */
-    constructor(config) {
+    constructor(config, client) {
         if (typeof config === 'object' && config) {
             const {
-                type, transport, negation, namespaces, logs, options
+                type, negation, namespaces, logs, options, expression
             } = config;
             this._type = typeof type === 'string' ? type : 'all';
-            this._transport = typeof transport === 'string' ?
-                transport :
-                'default';
+            this._initActions(config);
+            this._initUsers(config, client);
+            this._initPages(config, client);
+            this._initTiming(config, client);
             this._negation = typeof negation === 'boolean' ? negation : false;
             if (namespaces instanceof Array) {
                 this._namespaceFilter = namespaces;
@@ -34,9 +55,15 @@ class Filter {
             if (typeof options === 'object') {
                 this._options = options;
             }
+            if (
+                this._type === 'expression' ||
+                this._type === 'rate' && typeof expression === 'string'
+            ) {
+                this._compiled = new Expression(expression);
+            }
         } else {
             this._type = 'all';
-            this._transport = 'default';
+            this._initActions({});
         }
         this._func = this[`_${this._type}`];
         if (typeof this._func !== 'function') {
@@ -44,18 +71,194 @@ class Filter {
             this._func = this._all;
         }
     }
+    /**
+     * Initializes what happens to messages matching the filter.
+     * @param {object} config Filter configuration
+     * @param {string|string[]} config.transport Transport or transports
+     * matching messages are sent to
+     * @param {string} config.action Action to take on matching messages,
+     * `send` to send them to transports or `drop` to suppress them
+     * @param {boolean} config.continue Whether matching messages should be
+     * passed through later filters as well
+     * @private
+     */
+    _initActions({transport, action, continue: cont}) {
+        if (transport instanceof Array) {
+            this._transports = transport.filter(t => typeof t === 'string');
+        } else if (typeof transport === 'string') {
+            this._transports = [transport];
+        } else {
+            this._transports = ['default'];
+        }
+        this._drop = action === 'drop';
+        this._continue = typeof cont === 'boolean' ? cont : false;
+    }
+    /**
+     * Initializes user and group filtering.
+     * @param {object} config Filter configuration
+     * @param {string[]} config.users Users to match
+     * @param {string[]} config.groups User groups to match
+     * @param {boolean} config.target Whether the target user of a block or
+     * rights change should be matched instead of the acting user
+     * @param {Client} client Client instance
+     * @private
+     */
+    _initUsers({users, groups, target}, client) {
+        if (users instanceof Array) {
+            this._userFilter = users;
+        }
+        if (groups instanceof Array) {
+            this._groupFilter = groups;
+        }
+        this._target = typeof target === 'boolean' ? target : false;
+        if (this._type === 'groups') {
+            this._groupLookup = new UserGroups(client.io, client.cache);
+        }
+    }
+    /**
+     * Initializes page title and category filtering.
+     * @param {object} config Filter configuration
+     * @param {string[]} config.pages Glob patterns or regular expressions
+     * (delimited with slashes) page titles should match
+     * @param {string[]} config.categories Watched categories
+     * @param {number} config.refresh Interval in milliseconds in which
+     * members of watched categories are refreshed
+     * @param {Client} client Client instance
+     * @private
+     */
+    _initPages({pages, categories, refresh}, client) {
+        if (pages instanceof Array) {
+            this._pageFilter = pages.map(pattern => this._compilePattern(
+                pattern
+            ));
+        }
+        if (this._type === 'categories' && categories instanceof Array) {
+            this._categoryWatcher = new CategoryWatcher(
+                client.io,
+                client.cache,
+                categories,
+                refresh
+            );
+        }
+    }
+    /**
+     * Compiles a page title pattern into a regular expression.
+     *
+     * Patterns delimited with slashes are treated as regular expressions,
+     * while other patterns are treated as globs, where `*` matches any
+     * sequence of characters and `?` matches a single character.
+     * @param {string} pattern Pattern to compile
+     * @returns {RegExp} Compiled pattern
+     * @throws {Error} If the regular expression is invalid
+     * @private
+     */
+    _compilePattern(pattern) {
+        const regex = pattern.match(REGEX_PATTERN);
+        if (regex) {
+            return new RegExp(regex[1], regex[2]);
+        }
+        const glob = pattern
+            .replace(/_/gu, ' ')
+            .split(/([*?])/u)
+            .map(part => GLOB_WILDCARDS[part] || escapeRegex(part))
+            .join('');
+        return new RegExp(`^${glob}$`, 'u');
+    }
+    /**
+     * Initializes time of day, day of week and rate filtering.
+     * @param {object} config Filter configuration
+     * @param {string} config.timezone IANA time zone of times and days
+     * @param {Array<string|number>} config.days Days of the week, as names
+     * or numbers starting from Sunday (0)
+     * @param {string} config.from Time of day from which messages match, in
+     * `HH:MM` format
+     * @param {string} config.to Time of day until which messages match, in
+     * `HH:MM` format
+     * @param {number} config.count Amount of actions by a user after which
+     * messages match
+     * @param {number} config.window Length of the sliding window in which
+     * user actions are counted, in milliseconds
+     * @param {string} config.expression Expression restricting the actions
+     * that are counted
+     * @param {Client} client Client instance
+     * @throws {Error} If the time zone, days or times are invalid
+     * @private
+     */
+    _initTiming(config, client) {
+        const {timezone, days, from, to, count, window} = config;
+        if (this._type === 'time') {
+            this._dateFormat = new Intl.DateTimeFormat('en-US', {
+                hour: 'numeric',
+                hourCycle: 'h23',
+                minute: 'numeric',
+                timeZone: typeof timezone === 'string' ? timezone : 'UTC',
+                weekday: 'short'
+            });
+            if (days instanceof Array) {
+                this._days = days.map(day => this._parseDay(day));
+            }
+            this._from = this._parseTime(from, 0);
+            this._to = this._parseTime(to, 24 * 60);
+        }
+        if (this._type === 'rate') {
+            this._cache = client.cache;
+            this._count = typeof count === 'number' ? count : 0;
+            this._window = typeof window === 'number' ?
+                window :
+                DEFAULT_RATE_WINDOW;
+            // Every rate filter counts actions in its own sorted set.
+            this._rateId = `${createHash('sha1')
+                .update(JSON.stringify(config))
+                .digest('hex')
+                .substring(0, 8)}:${++rateFilters}`;
+            this._sequence = 0;
+        }
+    }
+    /**
+     * Parses a day of the week.
+     * @param {string|number} day Day name or number starting from Sunday (0)
+     * @returns {number} Day number
+     * @throws {Error} If the day is invalid
+     * @private
+     */
+    _parseDay(day) {
+        const index = typeof day === 'number' ?
+            day :
+            DAYS.indexOf(String(day).substring(0, 3).toLowerCase());
+        if (!DAYS[index]) {
+            throw new Error(`Invalid day of the week: ${day}`);
+        }
+        return index;
+    }
+    /**
+     * Parses a time of day.
+     * @param {string} time Time in `HH:MM` format
+     * @param {number} defaultTime Minutes since midnight to use if no time
+     * was specified
+     * @returns {number} Minutes since midnight
+     * @throws {Error} If the time is invalid
+     * @private
+     */
+    _parseTime(time, defaultTime) {
+        if (time === undefined) {
+            return defaultTime;
+        }
+        const match = String(time).match(TIME_REGEX);
+        const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : -1;
+        // Midnight at the end of the day can be written as 24:00.
+        if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+            throw new Error(`Invalid time of day: ${time}`);
+        }
+        return minutes;
+    }
     /**
      * Filters a message.
      * @param {Message} message Message to filter
-     * @returns {string|false} The transport name for the message, or false if
-     * the message was filtered out
+     * @returns {Promise<boolean>} Whether the message matches the filter
      */
-    execute(message) {
+    async execute(message) {
         try {
-            if (this._func(message) !== this._negation) {
-                return this._transport;
-            }
-            return false;
+            return await this._func(message) !== this._negation;
         } catch (_error) {
             // TODO: Log failure
             return false;
@@ -144,6 +347,198 @@ class Filter {
         }
         return true;
     }
+    /**
+     * Filters activity by a boolean expression over message fields.
+     * @param {Message} message Message to be transported
+     * @returns {boolean} If the message matches the expression
+     */
+    _expression(message) {
+        return this._compiled.evaluate(message);
+    }
+    /**
+     * Gets the user a message is matched by in user and group filters.
+     * @param {Message} message Message to get the user from
+     * @returns {string|undefined} The acting user, or the target user if the
+     * filter is configured to match target users
+     * @private
+     */
+    _subject(message) {
+        if (!this._target) {
+            return message.user;
+        }
+        if (message.type === 'log' && TARGET_USER_LOGS.includes(message.log)) {
+            return message.target;
+        }
+        return undefined;
+    }
+    /**
+     * Filters activity by users.
+     * @param {Message} message Message to be transported
+     * @returns {boolean} If the message is by (or targets) specified users
+     */
+    _users(message) {
+        const user = this._subject(message);
+        return typeof user === 'string' &&
+               this._userFilter &&
+               this._userFilter.includes(user);
+    }
+    /**
+     * Filters activity by groups of users.
+     * @param {Message} message Message to be transported
+     * @returns {Promise<boolean>} If the message is by (or targets) a user in
+     * any of the specified groups
+     */
+    async _groups(message) {
+        const user = this._subject(message);
+        if (typeof user !== 'string' || !this._groupFilter) {
+            return false;
+        }
+        const {wiki, language, domain} = message;
+        const groups = await this._groupLookup
+            .get(user, wiki, language, domain);
+        return groups.some(group => this._groupFilter.includes(group));
+    }
+    /**
+     * Gets page titles a message is matched by in page and category filters.
+     * @param {Message} message Message to get page titles from
+     * @returns {string[]} The page and the target page of the message
+     * @private
+     */
+    _titles(message) {
+        return [message.page, message.target]
+            .filter(title => typeof title === 'string');
+    }
+    /**
+     * Filters activity by page title patterns.
+     * @param {Message} message Message to be transported
+     * @returns {boolean} If the page or the target page of the message match
+     * any of the specified patterns
+     */
+    _pages(message) {
+        return Boolean(this._pageFilter) && this._titles(message)
+            .some(title => this._pageFilter.some(regex => regex.test(title)));
+    }
+    /**
+     * Filters activity on pages in watched categories.
+     * @param {Message} message Message to be transported
+     * @returns {Promise<boolean>} If the page or the target page of the
+     * message are in any of the watched categories
+     */
+    async _categories(message) {
+        if (!this._categoryWatcher) {
+            return false;
+        }
+        const {wiki, language, domain} = message;
+        for (const title of this._titles(message)) {
+            if (await this._categoryWatcher.includes(
+                title,
+                wiki,
+                language,
+                domain
+            )) {
+                return true;
+            }
+        }
+        return false;
+    }
+    /**
+     * Gets the time an action happened at.
+     * @param {Message} message Message about the action
+     * @returns {number} Time of the action, or the current time if unknown
+     * @private
+     */
+    _eventTime(message) {
+        const time = new Date(message.timestamp).getTime();
+        return isNaN(time) ? Date.now() : time;
+    }
+    /**
+     * Filters activity by the time of day and day of the week.
+     *
+     * If the time range ends before it starts, it spans over midnight. Days
+     * are checked against the day the action happened on.
+     * @param {Message} message Message to be transported
+     * @returns {boolean} If the action happened in the specified time range
+     * and on one of the specified days
+     */
+    _time(message) {
+        const parts = {};
+        for (const {type, value} of this._dateFormat.formatToParts(
+            this._eventTime(message)
+        )) {
+            parts[type] = value;
+        }
+        const day = DAYS.indexOf(parts.weekday.toLowerCase());
+        const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+        if (this._days && !this._days.includes(day)) {
+            return false;
+        }
+        if (this._from <= this._to) {
+            return minutes >= this._from && minutes < this._to;
+        }
+        return minutes >= this._from || minutes < this._to;
+    }
+    /**
+     * Filters activity by the rate of actions by the same user.
+     *
+     * Actions are counted in Redis over a sliding window, separately for
+     * each wiki and user. If an expression is specified, only actions
+     * matching the expression are counted and can match the filter.
+     * @param {Message} message Message to be transported
+     * @returns {Promise<boolean>} If the user made more than the specified
+     * amount of actions in the window
+     */
+    async _rate(message) {
+        const {user, wiki, language, domain} = message;
+        if (
+            typeof user !== 'string' ||
+            this._compiled && !this._compiled.evaluate(message)
+        ) {
+            return false;
+        }
+        const key = `logger:rate:${this._rateId}:${language}:${wiki}:${
+            domain
+        }:${user}`;
+        const time = this._eventTime(message);
+        const results = await this._cache
+            .multi()
+            .zremrangebyscore(key, '-inf', time - this._window)
+            .zadd(key, time, `${time}:${++this._sequence}`)
+            .zcard(key)
+            .pexpire(key, this._window)
+            .exec();
+        return results[2][1] > this._count;
+    }
+    /**
+     * Disposes resources used by the filter so KockaLogger can cleanly exit.
+     */
+    kill() {
+        if (this._categoryWatcher) {
+            this._categoryWatcher.kill();
+        }
+    }
+    /**
+     * Gets the transports messages matching the filter are sent to.
+     * @returns {string[]} Transport names
+     */
+    get transports() {
+        return this._transports;
+    }
+    /**
+     * Gets whether messages matching the filter are suppressed, so that they
+     * are not sent to the filter's transports, nor seen by later filters.
+     * @returns {boolean} Whether matching messages are dropped
+     */
+    get drop() {
+        return this._drop;
+    }
+    /**
+     * Gets whether messages matching the filter are passed through later
+     * filters, which may send them to more transports.
+     * @returns {boolean} Whether filter evaluation continues after a match
+     */
+    get continue() {
+        return this._continue;
+    }
 }
 
 module.exports = Filter;
@@ -0,0 +1,99 @@
+/**
+ * groups.js
+ *
+ * Module for looking up user groups of wiki users.
+ */
+'use strict';
+
+const {isIP} = require('net');
+const Redis = require('ioredis');
+const IO = require('../../include/io.js');
+const {isIPRange} = require('../../include/util.js');
+
+const CACHE_EXPIRY = 60 * 60;
+const ANONYMOUS_GROUPS = ['*'];
+
+/**
+ * Looks up user groups through the MediaWiki API and caches them in Redis.
+ */
+class UserGroups {
+    /**
+     * Class constructor.
+     * @param {IO} io HTTP client
+     * @param {Redis} cache Redis client
+     */
+    constructor(io, cache) {
+        this._io = io;
+        this._cache = cache;
+        this._pending = new Map();
+    }
+    /**
+     * Gets groups of a user on a wiki.
+     * @param {string} user Username
+     * @param {string} wiki Subdomain of the wiki
+     * @param {string} language Language of the wiki
+     * @param {string} domain Domain of the wiki
+     * @returns {Promise<string[]>} Groups of the user, `*` for anonymous
+     * users
+     */
+    async get(user, wiki, language, domain) {
+        if (typeof user !== 'string' || isIP(user) || isIPRange(user)) {
+            return ANONYMOUS_GROUPS;
+        }
+        const key = `logger:groups:${user}:${language}:${wiki}:${domain}`;
+        const cached = await this._cache.get(key);
+        if (cached) {
+            return JSON.parse(cached);
+        }
+        // Avoid looking up the same user multiple times simultaneously.
+        if (!this._pending.has(key)) {
+            this._pending.set(
+                key,
+                this._fetch(key, user, wiki, language, domain)
+            );
+        }
+        try {
+            return await this._pending.get(key);
+        } finally {
+            this._pending.delete(key);
+        }
+    }
+    /**
+     * Fetches groups of a user from the MediaWiki API and caches them.
+     * @param {string} key Redis key to cache the groups under
+     * @param {string} user Username
+     * @param {string} wiki Subdomain of the wiki
+     * @param {string} language Language of the wiki
+     * @param {string} domain Domain of the wiki
+     * @returns {Promise<string[]>} Groups of the user
+     * @throws {Error} If the API returns an unexpected response
+     * @private
+     */
+    async _fetch(key, user, wiki, language, domain) {
+        const response = await this._io.query(wiki, language, domain, {
+            list: 'users',
+            usprop: 'groups',
+            ususers: user
+        });
+        if (
+            typeof response !== 'object' ||
+            typeof response.query !== 'object' ||
+            !(response.query.users instanceof Array) ||
+            response.query.users.length === 0
+        ) {
+            throw new Error(`Invalid user groups response: ${
+                JSON.stringify(response)
+            }`);
+        }
+        const [{groups}] = response.query.users;
+        const result = groups instanceof Array ? groups : ANONYMOUS_GROUPS;
+        await this._cache
+            .multi()
+            .set(key, JSON.stringify(result))
+            .expire(key, CACHE_EXPIRY)
+            .exec();
+        return result;
+    }
+}
+
+module.exports = UserGroups;
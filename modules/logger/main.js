@@ -9,9 +9,12 @@ const Client = require('../../include/client.js');
 const Message = require('../../parser/msg.js');
 const Module = require('../module.js');
 const Logging = require('../../include/log.js');
+const RecentChanges = require('../../include/recentchanges.js');
 const Wiki = require('./wiki.js');
 
 const INFO_THREADS = 10;
+const LAST_KEY_PREFIX = 'logger:last:';
+const SAVE_INTERVAL = 5000;
 
 /**
  * Main logger class.
@@ -33,6 +36,10 @@ class Logger extends Module {
             name: 'logger',
             stdout: true
         });
+        // Maps wiki keys to the last handled messages from them.
+        this._last = new Map();
+        // Keys of wikis whose last handled messages changed since saved.
+        this._unsaved = new Set();
     }
     /**
      * Initializes wiki objects.
@@ -41,19 +48,126 @@ class Logger extends Module {
     async setup(caches) {
         super.setup(caches);
         this._wikis = this._config
-            .map(wiki => new Wiki(wiki))
+            .map(wiki => new Wiki(wiki, this._client))
             .filter(wiki => wiki.initialized);
+        const fetching = this._buildWikiMap();
+        await this._fetchAllWikiInfo(fetching);
+        // Replayed activity must not affect what is relayed in production.
+        if (this._client.replaying) {
+            return;
+        }
+        this._saveInterval = setInterval(
+            this._saveUnsaved.bind(this),
+            SAVE_INTERVAL
+        );
+        this._logger.info('Relaying activity missed since last run...');
+        const backfilling = Array.from(fetching);
+        while (backfilling.length > 0) {
+            await Promise.all(
+                backfilling
+                    .splice(0, INFO_THREADS)
+                    .map(wiki => this._backfill(wiki))
+            );
+        }
+    }
+    /**
+     * Maps wiki keys to indices of wikis with that key.
+     * @returns {Wiki[]} First wiki with each key
+     * @private
+     */
+    _buildWikiMap() {
         this._wikiMap = new Map();
-        const fetching = [];
+        const unique = [];
         for (let i = 0, l = this._wikis.length; i < l; ++i) {
             const wiki = this._wikis[i];
             if (this._wikiMap.has(wiki.key)) {
                 this._wikiMap.get(wiki.key).push(i);
             } else {
                 this._wikiMap.set(wiki.key, [i]);
-                fetching.push(wiki);
+                unique.push(wiki);
+            }
+        }
+        return unique;
+    }
+    /**
+     * Groups current wikis by their keys.
+     * @returns {Map<string, Wiki[]>} Map of wiki keys to wikis with that key
+     * @private
+     */
+    _poolWikis() {
+        const pool = new Map();
+        for (const wiki of this._wikis) {
+            if (!pool.has(wiki.key)) {
+                pool.set(wiki.key, []);
             }
+            pool.get(wiki.key).push(wiki);
         }
+        return pool;
+    }
+    /**
+     * Reloads the module's configuration.
+     *
+     * Wikis whose configuration did not change are kept as they are, while
+     * only filters, transports and formats whose configuration changed are
+     * reinitialized on the remaining wikis.
+     * @param {object[]} config New module configuration
+     * @returns {Promise<boolean>} Whether the configuration could be reloaded
+     * without recreating the module
+     */
+    async reload(config) {
+        if (!(config instanceof Array)) {
+            throw new Error('Logger configuration invalid!');
+        }
+        const pool = this._poolWikis();
+        const wikis = [];
+        let added = 0;
+        let updated = 0;
+        for (const wikiConfig of config) {
+            const existing = pool.get(Wiki.getKey(wikiConfig));
+            if (existing && existing.length > 0) {
+                const wiki = existing.shift();
+                if ((await wiki.update(wikiConfig)).length > 0) {
+                    ++updated;
+                }
+                wikis.push(wiki);
+                continue;
+            }
+            const wiki = new Wiki(wikiConfig, this._client);
+            if (wiki.initialized) {
+                wikis.push(wiki);
+                ++added;
+            }
+        }
+        let removed = 0;
+        for (const remaining of pool.values()) {
+            for (const wiki of remaining) {
+                await wiki.kill();
+                ++removed;
+            }
+        }
+        this._config = config;
+        this._wikis = wikis;
+        await this._fetchAllWikiInfo(this._buildWikiMap()
+            .filter(wiki => this._wikiMap.get(wiki.key)
+                .some(index => !this._wikis[index].id)));
+        this._logger.info(
+            'Reloaded configuration:',
+            added,
+            'wikis added,',
+            updated,
+            'updated,',
+            removed,
+            'removed.'
+        );
+        return true;
+    }
+    /**
+     * Fetches information about multiple wikis that are being logged.
+     * @param {Wiki[]} wikis Wikis whose information is to be fetched
+     * @private
+     */
+    async _fetchAllWikiInfo(wikis) {
+        const fetching = Array.from(wikis);
         while (fetching.length > 0) {
             await Promise.all(
                 fetching
@@ -96,11 +210,222 @@ class Logger extends Module {
             this._logger.error('Fetching wiki info', error);
         }
     }
+    /**
+     * Relays activity on a wiki that happened since the last message from
+     * that wiki was handled, so restarts do not leave gaps in logs.
+     * @param {Wiki} wiki Wiki whose missed activity should be relayed
+     * @private
+     */
+    async _backfill(wiki) {
+        const wikis = this._wikiMap.get(wiki.key)
+            .map(index => this._wikis[index])
+            .filter(w => w.id && w.backfill > 0);
+        if (wikis.length === 0) {
+            return;
+        }
+        const {name, language, domain, key} = wiki;
+        const target = {
+            domain,
+            language,
+            wiki: name
+        };
+        const maxBackfill = Math.max(...wikis.map(w => w.backfill));
+        try {
+            const last = await this._loadLast(key);
+            if (!last) {
+                return;
+            }
+            const start = this._timestamp(Math.max(
+                new Date(last.timestamp).getTime(),
+                Date.now() - maxBackfill
+            ));
+            const rc = new RecentChanges(this._io);
+            const entries = await rc.fetch(target, start);
+            if (rc.truncated) {
+                this._logger.warn(
+                    'Too much activity was missed on',
+                    key,
+                    'to relay all of it, only relaying the oldest',
+                    entries.length,
+                    'changes'
+                );
+            }
+            // Messages from the last handled second may have been handled.
+            const seen = this._countSeen(last.seen);
+            const messages = entries
+                .filter(entry => entry.timestamp >= last.timestamp)
+                .map(entry => this._client.parser.parseAPI(entry, target))
+                .filter(message => !message.error && this.interested(message))
+                .filter(function(message) {
+                    const fingerprint = this._fingerprint(message);
+                    if (
+                        message.timestamp !== last.timestamp ||
+                        !seen.get(fingerprint)
+                    ) {
+                        return true;
+                    }
+                    seen.set(fingerprint, seen.get(fingerprint) - 1);
+                    return false;
+                }.bind(this));
+            let relayed = 0;
+            for (const message of messages) {
+                if (await this._relayMissed(message, wikis)) {
+                    this._remember(key, message);
+                    ++relayed;
+                }
+            }
+            if (relayed > 0) {
+                await this._saveLast(key);
+                this._logger.info(
+                    'Relayed',
+                    relayed,
+                    'missed changes from',
+                    key
+                );
+            }
+        } catch (error) {
+            this._logger.error('Relaying missed activity', key, error);
+        }
+    }
+    /**
+     * Relays a missed message to wikis that relay activity that old, after
+     * fetching information about it they need.
+     * @param {Message} message Missed message
+     * @param {Wiki[]} wikis Wikis the message is from
+     * @returns {Promise<boolean>} Whether the message was relayed
+     * @private
+     */
+    async _relayMissed(message, wikis) {
+        const properties = this.interested(message);
+        if (
+            properties !== true &&
+            !await this._client.fetchMessage(message, [properties].flat())
+        ) {
+            return false;
+        }
+        const age = Date.now() - new Date(message.timestamp).getTime();
+        for (const dataWiki of wikis) {
+            if (age <= dataWiki.backfill) {
+                await dataWiki.execute(message);
+            }
+        }
+        return true;
+    }
+    /**
+     * Formats a time as an ISO 8601 timestamp without milliseconds, as used
+     * by the MediaWiki API.
+     * @param {number} time Time to format
+     * @returns {string} ISO 8601 timestamp
+     * @private
+     */
+    _timestamp(time) {
+        return new Date(time).toISOString().replace(/\.\d+Z$/u, 'Z');
+    }
+    /**
+     * Gets a fingerprint of a message, identifying it among messages from
+     * the same second regardless of whether it came from IRC or the API.
+     *
+     * Log entries from IRC have no IDs, so they are identified by their
+     * type and performer, and counted when the same performer made several
+     * of them in the same second.
+     * @param {Message} message Message to get the fingerprint of
+     * @returns {string} Fingerprint of the message
+     * @private
+     */
+    _fingerprint(message) {
+        const {type, params, log, user} = message;
+        if (type === 'edit') {
+            return `edit:${params.diff || params.oldid}`;
+        }
+        return `${type}:${log || ''}:${user}`;
+    }
+    /**
+     * Counts how many times each fingerprint occurs.
+     * @param {string[]} fingerprints Message fingerprints
+     * @returns {Map<string, number>} Amount of messages with each fingerprint
+     * @private
+     */
+    _countSeen(fingerprints) {
+        const counts = new Map();
+        for (const fingerprint of fingerprints) {
+            counts.set(fingerprint, (counts.get(fingerprint) || 0) + 1);
+        }
+        return counts;
+    }
+    /**
+     * Remembers a message as the last handled message from a wiki, along
+     * with other messages handled in the same second.
+     * @param {string} key Wiki key
+     * @param {Message} message Handled message
+     * @private
+     */
+    _remember(key, message) {
+        const timestamp = message.timestamp || this._timestamp(Date.now());
+        const last = this._last.get(key);
+        const fingerprint = this._fingerprint(message);
+        this._last.set(key, {
+            seen: last && last.timestamp === timestamp ?
+                [...last.seen, fingerprint] :
+                [fingerprint],
+            timestamp
+        });
+    }
+    /**
+     * Loads the last handled messages from a wiki.
+     * @param {string} key Wiki key
+     * @returns {Promise<object|null>} ISO 8601 timestamp of the last handled
+     * message and fingerprints of messages handled in that second, or null
+     * if no messages from the wiki were handled yet
+     * @private
+     */
+    async _loadLast(key) {
+        const stored = await this._cache.get(`${LAST_KEY_PREFIX}${key}`);
+        if (!stored) {
+            return null;
+        }
+        // Earlier versions only stored the timestamp.
+        const last = stored.startsWith('{') ?
+            JSON.parse(stored) :
+            {
+                seen: [],
+                timestamp: stored
+            };
+        this._last.set(key, last);
+        return last;
+    }
+    /**
+     * Stores the last handled messages from a wiki.
+     * @param {string} key Wiki key
+     * @private
+     */
+    async _saveLast(key) {
+        try {
+            await this._cache.set(
+                `${LAST_KEY_PREFIX}${key}`,
+                JSON.stringify(this._last.get(key))
+            );
+        } catch (error) {
+            this._logger.error('Saving last handled message time', error);
+        }
+    }
+    /**
+     * Stores the last handled messages from wikis where they changed since
+     * they were last stored.
+     * @private
+     */
+    async _saveUnsaved() {
+        const keys = Array.from(this._unsaved);
+        this._unsaved.clear();
+        for (const key of keys) {
+            await this._saveLast(key);
+        }
+    }
     /**
      * Determines whether the module is interested to receive the message
      * and which set of properties does it expect to receive.
      * @param {Message} message Message to check
-     * @returns {boolean} Whether the module is interested in the message
+     * @returns {boolean|string|string[]} Whether the module is interested in
+     * the message, or properties it needs to be fetched first
      */
     interested(message) {
         const {type, language, wiki, domain, platform, flags} = message;
@@ -111,7 +436,17 @@ class Logger extends Module {
         if (type === 'discussions' && platform === 'article-comment') {
             return 'title';
         }
-        return type !== 'edit' || !flags.includes('B');
+        if (type !== 'edit') {
+            return true;
+        }
+        if (flags.includes('B')) {
+            return false;
+        }
+        const properties = indices
+            .map(index => this._wikis[index])
+            .filter(Boolean)
+            .flatMap(dataWiki => dataWiki.properties);
+        return properties.length ? properties : true;
     }
     /**
      * Handles messages.
@@ -135,17 +470,42 @@ class Logger extends Module {
                 }
             }
         }
+        if (!this._client.replaying) {
+            this._remember(wikiKey, message);
+            this._unsaved.add(wikiKey);
+        }
+    }
+    /**
+     * Gets wikis whose activity the module relays.
+     * @returns {object[]} Objects with `wiki`, `language` and `domain`
+     * properties
+     */
+    get wikis() {
+        if (!this._wikiMap) {
+            return [];
+        }
+        return Array.from(this._wikiMap.values())
+            .map(([index]) => this._wikis[index])
+            .map(({name, language, domain}) => ({
+                domain,
+                language,
+                wiki: name
+            }));
     }
     /**
      * Cleans up the resources after a kill has been requested.
      */
-    kill() {
+    async kill() {
+        if (this._saveInterval) {
+            clearInterval(this._saveInterval);
+        }
+        await this._saveUnsaved();
         this._logger.close();
         if (!this._wikis) {
             return;
         }
         for (const wiki of this._wikis) {
-            wiki.kill();
+            await wiki.kill();
         }
     }
 }
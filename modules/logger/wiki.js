@@ -5,6 +5,7 @@
  */
 'use strict';
 
+const Client = require('../../include/client.js');
 const Logger = require('../../include/log.js');
 const Filter = require('./filter.js');
 const Format = require('../../formats/format.js');
@@ -19,6 +20,7 @@ const DEFAULT_BOTS = [
     'Wikia',
     'WikiaBot'
 ];
+const DEFAULT_BACKFILL = 60 * 60 * 1000;
 
 /**
  * Container for wiki data.
@@ -27,43 +29,148 @@ class Wiki {
     /**
      * Class constructor.
      * @param {object} config Wiki configuration
+     * @param {Client} client Client instance
      */
-    constructor(config) {
+    constructor(config, client) {
+        this._client = client;
         this._logger = new Logger({
             file: true,
             name: 'wiki',
             stdout: true
         });
-        if (typeof config !== 'object' || typeof config.wiki !== 'string') {
+        this._key = Wiki.getKey(config);
+        if (!this._key) {
             this._logger.error('Wiki configuration invalid:', config);
             return;
         }
         const {
-            wiki, domain, bots, language, transports, transport, formats,
-            format, filters
+            wiki, domain, language, transports, transport, formats, format,
+            filters
         } = config;
         this._name = wiki;
         this._domain = domain || 'fandom.com';
-        this._bots = bots instanceof Array ? bots : DEFAULT_BOTS;
         this._language = typeof language === 'string' ? language : 'en';
-        this._key = `${this._language}.${this._name}.${this._domain}`;
-        this._initFilters(filters);
-        if (!this._initTransports(transports, transport)) {
+        // Formats modify their configuration, so it is serialized beforehand.
+        this._snapshot = this._serialize(config);
+        this._initSettings(config);
+        if (
+            !this._initFilters(filters) ||
+            !this._initTransports(transports, transport)
+        ) {
             return;
         }
         this._initFormats(formats, format);
         this._initialized = true;
     }
+    /**
+     * Gets a unique identifier for a wiki from its configuration.
+     * @param {object} config Wiki configuration
+     * @returns {string|null} Wiki language, subdomain and domain, separated
+     * by dots, or null if the configuration is invalid
+     * @static
+     */
+    static getKey(config) {
+        if (
+            typeof config !== 'object' ||
+            !config ||
+            typeof config.wiki !== 'string'
+        ) {
+            return null;
+        }
+        const {wiki, domain, language} = config;
+        return `${
+            typeof language === 'string' ? language : 'en'
+        }.${wiki}.${domain || 'fandom.com'}`;
+    }
+    /**
+     * Serializes parts of the wiki configuration that can be compared when
+     * the configuration is reloaded.
+     * @param {object} config Wiki configuration
+     * @returns {object} Serialized filters, transports and formats
+     * configuration
+     * @private
+     */
+    _serialize(config) {
+        const {filters, transports, transport, formats, format} = config;
+        return {
+            filters: JSON.stringify(filters),
+            formats: JSON.stringify([formats, format]),
+            transports: JSON.stringify([transports, transport])
+        };
+    }
+    /**
+     * Initializes settings which require no resources.
+     * @param {object} config Wiki configuration
+     * @private
+     */
+    _initSettings(config) {
+        const {bots, backfill} = config;
+        this._bots = bots instanceof Array ? bots : DEFAULT_BOTS;
+        this._backfill = typeof backfill === 'number' ?
+            backfill :
+            backfill === false ? 0 : DEFAULT_BACKFILL;
+    }
+    /**
+     * Updates the wiki's configuration, reinitializing only filters,
+     * transports and formats whose configuration changed.
+     * @param {object} config New wiki configuration, for the same wiki
+     * @returns {Promise<string[]>} Parts of the configuration that were
+     * reinitialized
+     */
+    async update(config) {
+        const snapshot = this._serialize(config);
+        const {transports, transport, formats, format, filters} = config;
+        const changed = [];
+        this._initSettings(config);
+        if (snapshot.filters !== this._snapshot.filters) {
+            const oldFilters = this._filters;
+            if (this._initFilters(filters)) {
+                this._killFilters(oldFilters);
+                changed.push('filters');
+            } else {
+                this._filters = oldFilters;
+                snapshot.filters = this._snapshot.filters;
+            }
+        }
+        let transportsChanged = snapshot.transports !==
+            this._snapshot.transports;
+        if (transportsChanged) {
+            const oldTransports = this._transports;
+            if (this._initTransports(transports, transport)) {
+                await this._killTransports(oldTransports);
+                changed.push('transports');
+            } else {
+                this._transports = oldTransports;
+                snapshot.transports = this._snapshot.transports;
+                transportsChanged = false;
+            }
+        }
+        if (transportsChanged || snapshot.formats !== this._snapshot.formats) {
+            const oldFormats = this._formats;
+            this._initFormats(formats, format);
+            await this._killFormats(oldFormats);
+            changed.push('formats');
+        }
+        this._snapshot = snapshot;
+        return changed;
+    }
     /**
      * Initializes filters.
      * @param {object[]} filters Filters to initialize
+     * @returns {boolean} Whether filters managed to initialize
      * @private
      */
     _initFilters(filters) {
-        if (filters instanceof Array) {
-            this._filters = filters.map(f => new Filter(f));
-        } else {
-            this._filters = [new Filter()];
+        try {
+            if (filters instanceof Array) {
+                this._filters = filters.map(f => new Filter(f, this._client));
+            } else {
+                this._filters = [new Filter(null, this._client)];
+            }
+            return true;
+        } catch (error) {
+            this._logger.error('Error initializing filters:', error.message);
+            return false;
         }
     }
     /**
@@ -76,10 +183,13 @@ class Wiki {
         this._transports = {};
         if (typeof transports === 'object') {
             for (const i in transports) {
-                this._transports[i] = this._initTransport(transports[i]);
+                this._transports[i] = this._initTransport(transports[i], i);
             }
         } else if (typeof transport === 'object') {
-            this._transports.default = this._initTransport(transport);
+            this._transports.default = this._initTransport(
+                transport,
+                'default'
+            );
         } else {
             this._logger.error('No valid transports specified!');
             return false;
@@ -89,14 +199,21 @@ class Wiki {
     /**
      * Initializes a single transport.
      * @param {object} config Transport configuration
+     * @param {string} name Name of the transport in the wiki's configuration
      * @returns {Transport|null} Initialized transport on success, null on error
      * @private
      */
-    _initTransport(config) {
+    _initTransport(config, name) {
         const c = typeof config === 'object' ? config : {};
         try {
             const OurTransport = require(`../../transports/${c.type || 'discord'}/main.js`);
-            return new OurTransport(c);
+            const transport = new OurTransport(
+                c,
+                this._client.cache,
+                this._key
+            );
+            transport.register(`logger:${this._key}:${name}`);
+            return transport;
         } catch (error) {
             this._logger.error('Error initializing transport', error);
             return null;
@@ -118,16 +235,14 @@ class Wiki {
                     this._transports[i] || this._transports.default
                 );
             }
-        } else if (typeof format === 'object') {
-            this._formats.default = this._initFormat(
-                format,
-                this._transports.default
-            );
         } else {
-            this._formats.default = this._initFormat(
-                {},
-                this._transports.default
-            );
+            // Formats depend on the transport they are formatting for.
+            for (const i in this._transports) {
+                this._formats[i] = this._initFormat(
+                    typeof format === 'object' ? {...format} : {},
+                    this._transports[i]
+                );
+            }
         }
     }
     /**
@@ -143,7 +258,8 @@ class Wiki {
             c.language = this._language;
         }
         try {
-            const OurFormat = require(`../../formats/${c.type || 'logger'}/main.js`);
+            const type = c.type || transport && transport.defaultFormat;
+            const OurFormat = require(`../../formats/${type || 'logger'}/main.js`);
             return new OurFormat(c, transport);
         } catch (e) {
             this._logger.error('Error initializing format', e);
@@ -205,47 +321,58 @@ class Wiki {
      * @param {Message} message Message to dispatch
      */
     async execute(message) {
-        const result = this._filterMessage(message);
-        if (!result) {
-            return;
-        }
         this._identifyNamespace(message);
-        const format = this._formats[result] || this._formats.default;
-        const transport = this._transports[result];
-        if (!format) {
-            this._logger.error(
-                'Nonexistent format with no fallback',
-                result,
-                this._name
-            );
-            return;
-        }
-        if (!transport) {
-            this._logger.error('Nonexistent transport', result, this._name);
-            return;
-        }
-        const formatted = format.execute(message);
-        if (formatted) {
-            await transport.execute(formatted);
+        for (const result of await this._filterMessage(message)) {
+            const format = this._formats[result] || this._formats.default;
+            const transport = this._transports[result];
+            if (!format) {
+                this._logger.error(
+                    'Nonexistent format with no fallback',
+                    result,
+                    this._name
+                );
+                continue;
+            }
+            if (!transport) {
+                this._logger.error('Nonexistent transport', result, this._name);
+                continue;
+            }
+            const formatted = format.execute(message);
+            if (formatted) {
+                await transport.execute(formatted, message);
+            }
         }
     }
     /**
      * Passes a message through filters.
+     *
+     * Filters are evaluated in order until a filter that is not marked to
+     * continue matches the message. A matching filter with the `drop` action
+     * stops evaluation, so the message only goes to transports selected by
+     * filters before it.
      * @param {Message} message Message to filter
-     * @returns {string|null} Transport to use, if transport is needed
+     * @returns {Promise<string[]>} Transports to use, without duplicates
      */
-    _filterMessage(message) {
+    async _filterMessage(message) {
+        const transports = new Set();
         if (this._bots.includes(message.user)) {
-            return null;
+            return [];
         }
-        for (let i = 0, l = this._filters.length; i < l; ++i) {
-            const filter = this._filters[i];
-            const result = filter.execute(message);
-            if (result) {
-                return result;
+        for (const filter of this._filters) {
+            if (!await filter.execute(message)) {
+                continue;
+            }
+            if (filter.drop) {
+                break;
+            }
+            for (const transport of filter.transports) {
+                transports.add(transport);
+            }
+            if (!filter.continue) {
+                break;
             }
         }
-        return null;
+        return Array.from(transports);
     }
     /**
      * Identifies the namespace an event happened in.
@@ -265,13 +392,44 @@ class Wiki {
     /**
      * Cleans up the resources after a kill has been requested.
      */
-    kill() {
+    async kill() {
         this._logger.close();
-        for (const format in this._formats) {
-            this._formats[format].kill();
+        this._killFilters(this._filters);
+        await this._killFormats(this._formats);
+        await this._killTransports(this._transports);
+    }
+    /**
+     * Disposes resources used by filters.
+     * @param {Filter[]} filters Filters to dispose of
+     * @private
+     */
+    _killFilters(filters) {
+        for (const filter of filters || []) {
+            filter.kill();
         }
-        for (const transport in this._transports) {
-            this._transports[transport].kill();
+    }
+    /**
+     * Disposes resources used by formats.
+     * @param {object} formats Map of format names to formats
+     * @private
+     */
+    async _killFormats(formats) {
+        for (const format of Object.values(formats || {})) {
+            if (format) {
+                await format.kill();
+            }
+        }
+    }
+    /**
+     * Disposes resources used by transports.
+     * @param {object} transports Map of transport names to transports
+     * @private
+     */
+    async _killTransports(transports) {
+        for (const transport of Object.values(transports || {})) {
+            if (transport) {
+                await transport.kill();
+            }
         }
     }
     /**
@@ -283,6 +441,16 @@ class Wiki {
     get initialized() {
         return this._initialized;
     }
+    /**
+     * Gets additional message properties formats of the wiki need to be
+     * fetched before formatting messages.
+     * @returns {string[]} Properties to fetch
+     */
+    get properties() {
+        return Array.from(new Set(Object.values(this._formats || {})
+            .filter(Boolean)
+            .flatMap(format => format.properties)));
+    }
     /**
      * Gets wiki's subdomain.
      * @returns {string} Wiki's subdomain
@@ -311,6 +479,14 @@ class Wiki {
     get key() {
         return this._key;
     }
+    /**
+     * Gets the maximum age of activity relayed after a restart.
+     * @returns {number} Maximum age of missed activity in milliseconds, or 0
+     * if missed activity should not be relayed
+     */
+    get backfill() {
+        return this._backfill;
+    }
     /**
      * Gets the wiki's ID.
      * @returns {number} Wiki's ID
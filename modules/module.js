@@ -49,6 +49,27 @@ class Module {
             throw new Error('Implement this method!');
         }
     }
+    /**
+     * Reloads the module's configuration without restarting KockaLogger.
+     *
+     * Modules which do not support reloading return false, in which case the
+     * module is recreated from the new configuration.
+     * @param {object} _config New module configuration
+     * @returns {boolean|Promise<boolean>} Whether the configuration was
+     * reloaded
+     */
+    reload(_config) {
+        return false;
+    }
+    /**
+     * Gets wikis whose activity the module relays, so their activity can be
+     * fetched from elsewhere when it is missing from IRC.
+     * @returns {object[]} Objects with `wiki`, `language` and `domain`
+     * properties
+     */
+    get wikis() {
+        return [];
+    }
     /* eslint-disable no-empty-function */
     /**
      * Disposes resources used by the module so KockaLogger can cleanly exit.
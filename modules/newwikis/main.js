@@ -26,7 +26,8 @@ class NewWikis extends Module {
     constructor(config, client) {
         super(config, client);
         config.type = 'discord-newwikis';
-        this._transport = new Discord(config);
+        this._transport = new Discord(config, client.cache);
+        this._transport.register('newwikis');
     }
     /**
      * Determines whether the module is interested to receive the message
@@ -56,8 +57,8 @@ class NewWikis extends Module {
     /**
      * Disposes resources used by the format so KockaLogger can cleanly exit.
      */
-    kill() {
-        this._transport.kill();
+    async kill() {
+        await this._transport.kill();
     }
 }
 
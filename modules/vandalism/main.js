@@ -37,7 +37,8 @@ class Vandalism extends Module {
         this._transport = new Discord({
             ...transport,
             type: 'discord-vandalism'
-        });
+        }, client.cache);
+        this._transport.register('vandalism');
         this._format = new Format({}, this._transport);
         this._logger = new Logger({
             file: true,
@@ -105,9 +106,9 @@ class Vandalism extends Module {
     /**
      * Cleans up the resources after a kill has been requested.
      */
-    kill() {
+    async kill() {
         this._logger.close();
-        this._transport.kill();
+        await this._transport.kill();
         this._format.kill();
     }
 }
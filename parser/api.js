@@ -0,0 +1,255 @@
+/**
+ * api.js
+ *
+ * Module for parsing recent changes entries from the MediaWiki API.
+ */
+'use strict';
+
+const Message = require('./msg.js');
+const Parser = require('./parser.js');
+const Client = require('../include/client.js');
+const DiffPreview = require('../include/diff.js');
+
+const REVDEL_FIELDS = [
+    [1, 'content'],
+    [2, 'summary'],
+    [4, 'username']
+];
+
+/**
+ * Parses `list=recentchanges` entries into messages with the same properties
+ * as edit and log messages from the recent changes channel.
+ * @augments Message
+ */
+class APIMessage extends Message {
+    /**
+     * Class constructor.
+     * @param {Parser} parser Parser instance
+     * @param {object} entry Recent changes entry (`formatversion=2`)
+     * @param {object} wiki Wiki the entry is from
+     * @param {string} wiki.wiki Subdomain of the wiki
+     * @param {string} wiki.language Language of the wiki
+     * @param {string} wiki.domain Domain of the wiki
+     */
+    constructor(parser, entry, {wiki, language, domain}) {
+        const type = entry.type === 'log' ? 'log' : 'edit';
+        super(parser, JSON.stringify(entry), type);
+        this.wiki = wiki;
+        this.language = language || 'en';
+        this.domain = domain || 'fandom.com';
+        this.rcid = entry.rcid;
+        this.timestamp = entry.timestamp;
+        this.user = entry.user || '';
+        if (this.type === 'edit') {
+            this._edit(entry);
+        } else {
+            this._log(entry);
+        }
+    }
+    /**
+     * Extracts edit data.
+     * @param {object} entry Recent changes entry
+     * @private
+     */
+    _edit(entry) {
+        this.page = entry.title;
+        this.namespace = entry.ns;
+        this.flags = [];
+        if (entry.type === 'new') {
+            this.flags.push('N');
+        }
+        if (entry.minor) {
+            this.flags.push('M');
+        }
+        if (entry.bot) {
+            this.flags.push('B');
+        }
+        this.params = entry.type === 'new' ?
+            {oldid: entry.revid} :
+            {
+                diff: entry.revid,
+                oldid: entry.old_revid
+            };
+        if (entry.rcid) {
+            this.params.rcid = entry.rcid;
+        }
+        this.diff = (entry.newlen || 0) - (entry.oldlen || 0);
+        this.summary = entry.comment || '';
+    }
+    /**
+     * Extracts log data.
+     * @param {object} entry Recent changes entry
+     * @private
+     */
+    _log(entry) {
+        this.log = entry.logtype;
+        this.action = entry.logaction;
+        this.logid = entry.logid;
+        const params = entry.logparams || {};
+        const handler = this[`_${this.log}`];
+        if (typeof handler === 'function') {
+            handler.call(this, entry, params);
+        } else {
+            this.summary = entry.comment;
+            this._error('ignore-unknownlog', 'Unknown log type (ignored).');
+        }
+    }
+    /**
+     * Starts fetching more details about the message.
+     * @param {Client} client Client instance to get external clients from
+     * @param {string[]} properties Details to fetch
+     */
+    async fetch(client, properties) {
+        if (this.type === 'edit' && properties.includes('diff')) {
+            this.preview = await DiffPreview.fetch(client.io, this);
+        }
+    }
+    /**
+     * Strips the namespace from a page title.
+     * @param {string} title Title to strip the namespace from
+     * @returns {string} Title without the namespace
+     * @private
+     */
+    _stripNamespace(title) {
+        return String(title).substring(String(title).indexOf(':') + 1);
+    }
+    /**
+     * Handles abuse filter log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _abusefilter(entry, params) {
+        this.id = Number(params.newId || params[1]);
+        this.diff = Number(params.historyId || params[0]);
+    }
+    /**
+     * Handles block log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _block(entry, params) {
+        this.target = this._stripNamespace(entry.title);
+        if (this.action !== 'unblock') {
+            this.expiry = params.duration;
+            this.flags = params.flags instanceof Array ? params.flags : [];
+        }
+        this.reason = entry.comment;
+    }
+    /**
+     * Handles deletion log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _delete(entry, params) {
+        if (this.action === 'revision' || this.action === 'event') {
+            this.target = entry.title;
+            this.num = params.ids instanceof Array ? params.ids.length : 1;
+            this.actions = this._revdelActions(params.old, params.new);
+        } else {
+            this.page = entry.title;
+        }
+        this.reason = entry.comment;
+    }
+    /**
+     * Describes changes to revision visibility.
+     * @param {object} old Old visibility parameters
+     * @param {object} current New visibility parameters
+     * @returns {string} Description of visibility changes
+     * @private
+     */
+    _revdelActions(old, current) {
+        const oldBits = old ? old.bitmask : 0;
+        const newBits = current ? current.bitmask : 0;
+        const actions = [];
+        for (const [bit, field] of REVDEL_FIELDS) {
+            const hidden = Boolean(newBits & bit);
+            if (hidden && !(oldBits & bit)) {
+                actions.push(`${field} hidden`);
+            } else if (!hidden && oldBits & bit) {
+                actions.push(`${field} unhidden`);
+            }
+        }
+        return actions.join(', ');
+    }
+    /**
+     * Handles move log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _move(entry, params) {
+        this.page = entry.title;
+        this.target = params.target_title;
+        this.reason = entry.comment;
+    }
+    /**
+     * Handles new user log entries.
+     * @private
+     */
+    _newusers() {
+        this.action = 'newusers';
+    }
+    /**
+     * Handles patrol log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _patrol(entry, params) {
+        this.revision = Number(params.curid);
+        this.page = entry.title;
+    }
+    /**
+     * Handles protection log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _protect(entry, params) {
+        if (this.action === 'move_prot') {
+            this.page = params.oldtitle_title;
+            this.target = entry.title;
+        } else {
+            this.page = entry.title;
+        }
+        if (this.action !== 'unprotect' && this.action !== 'move_prot') {
+            this.level = (params.details instanceof Array ? params.details : [])
+                .map(({type, level, expiry}) => ({
+                    expiry,
+                    feature: type,
+                    level
+                }));
+        }
+        this.reason = entry.comment;
+    }
+    /**
+     * Handles user rights log entries.
+     * @param {object} entry Recent changes entry
+     * @param {object} params Log parameters
+     * @private
+     */
+    _rights(entry, params) {
+        this.target = this._stripNamespace(entry.title);
+        this.oldgroups = params.oldgroups instanceof Array ?
+            params.oldgroups :
+            [];
+        this.newgroups = params.newgroups instanceof Array ?
+            params.newgroups :
+            [];
+        this.reason = entry.comment;
+    }
+    /**
+     * Handles upload log entries.
+     * @param {object} entry Recent changes entry
+     * @private
+     */
+    _upload(entry) {
+        this.file = this._stripNamespace(entry.title);
+        this.reason = entry.comment;
+    }
+}
+
+module.exports = APIMessage;
@@ -8,6 +8,8 @@
 
 const RCMessage = require('./rc.js');
 const Parser = require('./parser.js');
+const Client = require('../include/client.js');
+const DiffPreview = require('../include/diff.js');
 
 /**
  * Parses WikiaRC messages representing edits.
@@ -35,6 +37,16 @@ class EditMessage extends RCMessage {
         this.diff = sign === '-' ? -num : num;
         this.summary = this._trimSummary(res.shift());
     }
+    /**
+     * Starts fetching more details about the message.
+     * @param {Client} client Client instance to get external clients from
+     * @param {string[]} properties Details to fetch
+     */
+    async fetch(client, properties) {
+        if (properties.includes('diff')) {
+            this.preview = await DiffPreview.fetch(client.io, this);
+        }
+    }
     /**
      * Parses a URL parameter.
      * @param {string} param Parameter to parse
@@ -5,6 +5,7 @@
  */
 'use strict';
 
+const APIMessage = require('./api.js');
 const DiscussionsMessage = require('./discussions.js');
 const EditMessage = require('./edit.js');
 const ErrorMessage = require('./error.js');
@@ -81,6 +82,18 @@ class Parser {
                 );
         }
     }
+    /**
+     * Parses a recent changes entry from the MediaWiki API.
+     * @param {object} entry Recent changes entry (`formatversion=2`)
+     * @param {object} wiki Wiki the entry is from
+     * @param {string} wiki.wiki Subdomain of the wiki
+     * @param {string} wiki.language Language of the wiki
+     * @param {string} wiki.domain Domain of the wiki
+     * @returns {Message} Parsed message
+     */
+    parseAPI(entry, wiki) {
+        return new APIMessage(this, entry, wiki);
+    }
     /**
      * Updates custom messages.
      * @param {string} key Key to store the messages under
@@ -0,0 +1,136 @@
+/**
+ * main.js
+ *
+ * Main module for the Discussions polling event source.
+ */
+'use strict';
+
+const Poller = require('../poller.js');
+const Client = require('../../include/client.js');
+const {url} = require('../../include/util.js');
+const Message = require('../../parser/msg.js');
+
+const DEFAULT_LIMIT = 50;
+const SNIPPET_LENGTH = 100;
+
+/**
+ * Event source polling the Discussions API of configured wikis for new
+ * posts.
+ *
+ * Posts are converted into the same format the Discussions IRC channel uses,
+ * so they are parsed as any other Discussions message.
+ * @augments Poller
+ */
+class DiscussionsSource extends Poller {
+    /**
+     * Class constructor.
+     * @param {object} config Event source configuration
+     * @param {number} config.limit Amount of posts to fetch per request
+     * @param {Client} client Client instance
+     */
+    constructor(config, client) {
+        super(config, client, 'discussions');
+        const {limit} = this._config;
+        this._limit = typeof limit === 'number' ? limit : DEFAULT_LIMIT;
+        this._last = new Map();
+    }
+    /**
+     * Polls a single wiki for new Discussions posts.
+     *
+     * The first poll of a wiki only marks the newest post, so only posts
+     * made after it are relayed.
+     * @param {object} wiki Wiki to poll
+     * @returns {Promise<Message[]>} Messages representing new posts
+     * @protected
+     */
+    async _poll(wiki) {
+        const response = await this._io.wikia(
+            wiki.wiki,
+            wiki.language,
+            wiki.domain,
+            {
+                containerType: 'FORUM',
+                controller: 'DiscussionPost',
+                includeCounters: false,
+                limit: this._limit,
+                method: 'getPosts',
+                sortDirection: 'descending',
+                sortKey: 'creation_date'
+            }
+        );
+        const posts = response &&
+            response._embedded &&
+            response._embedded['doc:posts'];
+        if (!(posts instanceof Array)) {
+            throw new Error(`Invalid Discussions response: ${
+                JSON.stringify(response)
+            }`);
+        }
+        const last = this._last.get(wiki.key);
+        // Posts are sorted by creation date, newest first.
+        const newPosts = posts
+            .filter(post => this._isNewer(String(post.id), last))
+            .reverse();
+        if (newPosts.length > 0) {
+            this._last.set(wiki.key, String(newPosts[newPosts.length - 1].id));
+        } else if (typeof last === 'undefined') {
+            this._last.set(wiki.key, '');
+        }
+        if (typeof last === 'undefined') {
+            return [];
+        }
+        return newPosts
+            .map(post => this._client.parser.parse(
+                JSON.stringify(this._toFeed(post, wiki)),
+                'discussions'
+            ));
+    }
+    /**
+     * Compares two Discussions post IDs.
+     *
+     * Post IDs are too large to be compared as numbers, but they are
+     * sequential, so they can be compared by length and then as strings.
+     * @param {string} id Post ID to compare
+     * @param {string|undefined} other Post ID to compare against, if any
+     * @returns {boolean} Whether the first post ID is newer
+     * @private
+     */
+    _isNewer(id, other) {
+        if (typeof other !== 'string' || id.length !== other.length) {
+            return typeof other !== 'string' || id.length > other.length;
+        }
+        return id > other;
+    }
+    /**
+     * Converts a Discussions post into the format of the Discussions IRC
+     * channel.
+     * @param {object} post Post from the Discussions API
+     * @param {object} wiki Wiki the post was made on
+     * @returns {object} Post in the format of the Discussions IRC channel
+     * @private
+     */
+    _toFeed(post, wiki) {
+        const base = url(wiki.wiki, wiki.language, wiki.domain);
+        const content = String(post.rawContent || '');
+        const thread = post._embedded &&
+            post._embedded.thread instanceof Array &&
+            post._embedded.thread[0];
+        return {
+            action: 'created',
+            category: post.forumName,
+            size: content.length,
+            snippet: content.length > SNIPPET_LENGTH ?
+                `${content.substring(0, SNIPPET_LENGTH)}…` :
+                content,
+            title: post.isReply ? null : thread && thread.title,
+            type: post.isReply ? 'discussion-post' : 'discussion-thread',
+            url: post.isReply ?
+                `${base}/f/p/${post.threadId}/r/${post.id}` :
+                `${base}/f/p/${post.threadId}`,
+            userId: post.createdBy && post.createdBy.id,
+            userName: post.createdBy && post.createdBy.name
+        };
+    }
+}
+
+module.exports = DiscussionsSource;
@@ -0,0 +1,77 @@
+/**
+ * fallback.js
+ *
+ * Module for polling recent changes while the IRC recent changes channel is
+ * silent.
+ */
+'use strict';
+
+const RecentChangesSource = require('../recentchanges/main.js');
+const Client = require('../../include/client.js');
+const Message = require('../../parser/msg.js');
+
+/**
+ * Recent changes poller used while the IRC recent changes channel is silent.
+ *
+ * Every relayed change is remembered, so the same change arriving through
+ * IRC once the channel recovers can be recognized as a duplicate.
+ * @augments RecentChangesSource
+ */
+class Fallback extends RecentChangesSource {
+    /**
+     * Class constructor.
+     * @param {object} config Event source configuration
+     * @param {Client} client Client instance
+     * @param {Map<string, number>} seen Map of keys of relayed changes to the
+     * time they were relayed at
+     */
+    constructor(config, client, seen) {
+        super({
+            ...config,
+            logevents: true
+        }, client);
+        this._seen = seen;
+    }
+    /**
+     * Determines whether a fetched change should be relayed.
+     *
+     * New users are relayed through their own IRC channel, which is not
+     * affected by the recent changes channel going silent.
+     * @param {object} entry Recent changes entry
+     * @returns {boolean} Whether the change should be relayed
+     * @protected
+     */
+    _filter(entry) {
+        return entry.logtype !== 'newusers';
+    }
+    /**
+     * Remembers a relayed change and passes it to the client.
+     * @param {Message} message Parsed message
+     * @protected
+     */
+    async _dispatch(message) {
+        this._seen.set(Fallback.key(message), Date.now());
+        await super._dispatch(message);
+    }
+    /**
+     * Gets a key identifying the same change coming from IRC and the API.
+     *
+     * Edits are identified by their revision IDs, while logs, whose IDs are
+     * not relayed through IRC, are identified by their type, performer and
+     * target.
+     * @param {Message} message Message to identify
+     * @returns {string} Key identifying the message
+     * @static
+     */
+    static key(message) {
+        const {type, language, wiki, domain, params} = message;
+        const prefix = `${language}.${wiki}.${domain}:${type}`;
+        if (type === 'edit') {
+            return `${prefix}:${params.diff || params.oldid}`;
+        }
+        const {log, action, user, target, page, file} = message;
+        return `${prefix}:${log}:${action}:${user}:${target || page || file}`;
+    }
+}
+
+module.exports = Fallback;
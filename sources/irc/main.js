@@ -0,0 +1,386 @@
+/**
+ * main.js
+ *
+ * Main module for the IRC event source.
+ */
+'use strict';
+
+const {promisify} = require('util');
+const irc = require('irc-upd');
+const EventSource = require('../source.js');
+const Fallback = require('./fallback.js');
+const Client = require('../../include/client.js');
+const Logger = require('../../include/log.js');
+const Recorder = require('../../include/recorder.js');
+const util = require('../../include/util.js');
+const Message = require('../../parser/msg.js');
+
+const EVENTS = [
+    'registered',
+    'join',
+    'error',
+    'netError',
+    'message',
+    'ctcp-version'
+];
+const HANDLED_COMMANDS = [
+    '338',
+    'rpl_whoismodes'
+];
+const MONITORING_INTERVAL = 1 * 60 * 1000;
+const MONITORING_FAILED_INTERVAL = 5 * 60 * 1000;
+const DUPLICATE_EXPIRY = 15 * 60 * 1000;
+
+/**
+ * Event source receiving activity from the WikiaRC IRC channels.
+ * @augments EventSource
+ */
+class IRC extends EventSource {
+    /**
+     * Class constructor.
+     * @param {object} config IRC client configuration
+     * @param {Client} client Client instance
+     */
+    constructor(config, client) {
+        super(config, client);
+        this._logger = new Logger({
+            file: true,
+            name: 'irc',
+            stdout: true
+        });
+        this._overflow = '';
+        this._dOverflow = '';
+        this._monitoring = {};
+        this._monitoringFailed = {};
+        this._seen = new Map();
+        const {record} = this._config;
+        if (typeof record === 'object' && record) {
+            this._recorder = new Recorder(record);
+        }
+    }
+    /**
+     * Initializes the IRC client.
+     */
+    run() {
+        this._logger.info('Initializing IRC client...');
+        const {
+            server, nick, channels, port, realname, username
+        } = this._config;
+        this._irc = new irc.Client(server, nick, {
+            autoRejoin: true,
+            autoRenick: true,
+            channels: [channels.rc, channels.discussions, channels.newusers],
+            port,
+            realName: realname,
+            showErrors: true,
+            userName: username || nick
+        });
+        this._irc.out.error = this._errorOverride.bind(this);
+        for (const channel in channels) {
+            this._monitoring[channel] = Date.now();
+        }
+        this._monitoringInterval = setInterval(
+            this._checkChannels.bind(this),
+            MONITORING_INTERVAL
+        );
+        for (const e of EVENTS) {
+            this._irc.on(e, this[`_${e.replace(
+                /-(\w)/u,
+                (_, m) => m.toUpperCase()
+            )}`].bind(this));
+        }
+    }
+    /**
+     * Overrides irc-upd's error output.
+     * @param {Array} args Error arguments
+     */
+    _errorOverride(...args) {
+        if (
+            // Bogus unhandled commands.
+            args[0] === 'Unhandled message:' &&
+            typeof args[1].command === 'string' &&
+            (
+                HANDLED_COMMANDS.includes(args[1].command) ||
+                // Error while killing.
+                this._killing &&
+                args[1].command === 'ERROR' &&
+                args[1].args instanceof Array &&
+                typeof args[1].args[0] === 'string' &&
+                args[1].args[0].startsWith('Closing Link: ')
+            ) ||
+            // Already logged errors.
+            typeof args[0] === 'object' &&
+            args[0].commandType === 'error'
+        ) {
+            return;
+        }
+        this._logger.error(...args);
+    }
+    /**
+     * The client has joined the IRC server.
+     * @param {object} command IRC command sent upon joining
+     * @private
+     */
+    _registered(command) {
+        if (!this._killing) {
+            this._logger.info(command.args[1]);
+        }
+    }
+    /**
+     * The client has joined an IRC channel.
+     * @param {string} channel Channel that was joined
+     * @param {string} user User that joined the channel
+     * @private
+     */
+    _join(channel, user) {
+        for (const type in this._config.channels) {
+            if (
+                channel === this._config.channels[type] &&
+                user === this._config.nick
+            ) {
+                this._logger.info('Joined', type, 'channel.');
+                break;
+            }
+        }
+    }
+    /**
+     * An IRC error occurred.
+     * @param {object} command IRC command sent upon error
+     * @private
+     */
+    _error(command) {
+        this._logger.error('IRC error:', command);
+    }
+    /**
+     * A network error with the IRC socket occurred,
+     * @param {Error} error Error event that occurred in the socket
+     * @private
+     */
+    _netError(error) {
+        this._logger.error('Socket error:', error);
+    }
+    /**
+     * An IRC message has been sent.
+     * @param {string} user User sending the message
+     * @param {string} channel Channel the message was sent to
+     * @param {string} message Message contents
+     * @protected
+     */
+    async _message(user, channel, message) {
+        if (this._recorder) {
+            this._recorder.record(channel, user, message);
+        }
+        const {channels, users} = this._config;
+        for (const i in channels) {
+            if (user.startsWith(users[i]) && channel === channels[i]) {
+                this._monitoring[i] = Date.now();
+                if (this._monitoringFailed[i]) {
+                    this._logger.info('Channel', i, 'recovered');
+                    this._monitoringFailed[i] = false;
+                    if (i === 'rc') {
+                        this._stopFallback();
+                    }
+                }
+                const msg = this[`_${i}Message`](message);
+                if (
+                    msg &&
+                    typeof msg === 'object' &&
+                    !this._isDuplicate(msg)
+                ) {
+                    await this._dispatch(msg);
+                }
+                break;
+            }
+        }
+    }
+    /**
+     * Checks whether a message has already been relayed while polling recent
+     * changes.
+     * @param {Message} message Message to check
+     * @returns {boolean} Whether the message is a duplicate
+     * @private
+     */
+    _isDuplicate(message) {
+        if (
+            this._seen.size === 0 ||
+            message.error ||
+            message.type !== 'edit' && message.type !== 'log'
+        ) {
+            return false;
+        }
+        const key = Fallback.key(message);
+        if (this._seen.has(key)) {
+            this._seen.delete(key);
+            return true;
+        }
+        return false;
+    }
+    /**
+     * Starts polling recent changes of wikis KockaLogger modules are
+     * interested in, from the point the recent changes channel went silent.
+     * @private
+     */
+    _startFallback() {
+        const {fallback} = this._config;
+        const {wikis} = this._client;
+        if (fallback === false || this._fallback || wikis.length === 0) {
+            return;
+        }
+        this._logger.warn(
+            'Polling recent changes of',
+            wikis.length,
+            'wikis until the recent changes channel recovers.'
+        );
+        this._fallback = new Fallback({
+            ...fallback,
+            start: new Date(this._monitoring.rc).toISOString(),
+            wikis
+        }, this._client, this._seen);
+        this._fallback.run();
+    }
+    /**
+     * Stops polling recent changes after the recent changes channel has
+     * recovered.
+     * @private
+     */
+    _stopFallback() {
+        if (this._fallback) {
+            this._logger.info('Stopped polling recent changes.');
+            this._fallback.kill();
+            delete this._fallback;
+        }
+    }
+    /**
+     * Handles messages in the RC channel.
+     * @param {string} message Message to handle
+     * @returns {Message|null} Parsed message object, unless we're dealing with
+     * an overflow
+     * @private
+     */
+    _rcMessage(message) {
+        const {parser} = this._client;
+        let msg = null;
+        if (message.startsWith('\x0314')) {
+            if (this._overflow) {
+                msg = parser.parse(this._overflow, 'rc');
+            }
+            this._overflow = message;
+        } else {
+            const concat = `${this._overflow}${message}`;
+            if (concat.startsWith('\x0314')) {
+                msg = parser.parse(concat, 'rc');
+                if (
+                    msg.type === 'error' && msg.error === 'rcerror' ||
+                    msg.type === 'log' && msg.error === 'logparsefail'
+                ) {
+                    msg = parser.parse(`${this._overflow} ${message}`, 'rc');
+                    if (msg) {
+                        msg.addedSpaces = true;
+                    }
+                }
+            }
+            this._overflow = '';
+        }
+        return msg;
+    }
+    /**
+     * Handles messages in the Discussions channel.
+     * @param {string} message Message to handle
+     * @returns {Message|null} Parsed message object, unless we're dealing with
+     * an overflow
+     * @private
+     */
+    _discussionsMessage(message) {
+        const {parser} = this._client;
+        const start = message.startsWith('{');
+        const end = message.endsWith('}');
+        if (start && end) {
+            return parser.parse(message, 'discussions');
+        } else if (start) {
+            this._dOverflow = message;
+            return null;
+        } else if (end && this._dOverflow) {
+            const overflow = this._dOverflow;
+            this._dOverflow = '';
+            return parser.parse(`${overflow}${message}`, 'discussions');
+        } else if (this._dOverflow) {
+            this._dOverflow = `${this._dOverflow}${message}`;
+            return null;
+        }
+        return null;
+    }
+    /**
+     * Handles messages in the new users channel.
+     * @param {string} message Message to handle
+     * @returns {Message|null} Parsed message object, unless the message
+     * overflowed
+     * @private
+     */
+    _newusersMessage(message) {
+        if (message.endsWith('newusers')) {
+            return this._client.parser.parse(message, 'newusers');
+        }
+        this._logger.error('Newusers message overflowed?', message);
+        return null;
+    }
+    /**
+     * Handles a CTCP VERSION.
+     * @param {string} from User sending the CTCP
+     * @param {string} to User receiving the CTCP
+     * @private
+     */
+    _ctcpVersion(from, to) {
+        if (to === this._irc.nick) {
+            this._irc.notice(from, `VERSION ${util.USER_AGENT}`);
+        }
+    }
+    /**
+     * Checks whether all IRC channels have had recent activity and reports
+     * which ones have not. If the recent changes channel is silent, recent
+     * changes are polled until it recovers.
+     * @private
+     */
+    _checkChannels() {
+        const now = Date.now();
+        for (const [key, time] of this._seen) {
+            if (now - time > DUPLICATE_EXPIRY) {
+                this._seen.delete(key);
+            }
+        }
+        for (const channel in this._monitoring) {
+            if (this._monitoringFailed[channel]) {
+                continue;
+            }
+            if (now - this._monitoring[channel] > MONITORING_FAILED_INTERVAL) {
+                this._logger.error('ALERT: No recent messages in', channel);
+                this._monitoringFailed[channel] = true;
+                if (channel === 'rc') {
+                    this._startFallback();
+                }
+            }
+        }
+    }
+    /**
+     * Disconnects from IRC and stops recording.
+     */
+    async kill() {
+        this._killing = true;
+        this._logger.close();
+        if (this._monitoringInterval) {
+            clearInterval(this._monitoringInterval);
+        }
+        this._stopFallback();
+        if (
+            typeof this._irc === 'object' &&
+            typeof this._irc.disconnect === 'function'
+        ) {
+            await promisify(this._irc.disconnect)
+                .call(this._irc, 'User-requested shutdown.');
+        }
+        if (this._recorder) {
+            await this._recorder.close();
+        }
+    }
+}
+
+module.exports = IRC;
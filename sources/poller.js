@@ -0,0 +1,148 @@
+/**
+ * poller.js
+ *
+ * Base module for event sources that poll wikis.
+ */
+'use strict';
+
+const EventSource = require('./source.js');
+const Client = require('../include/client.js');
+const Logger = require('../include/log.js');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const POLL_THREADS = 10;
+
+/**
+ * Base class for event sources periodically polling a list of wikis.
+ * @augments EventSource
+ */
+class Poller extends EventSource {
+    /**
+     * Class constructor.
+     * @param {object} config Event source configuration
+     * @param {number} config.interval Polling interval in milliseconds
+     * @param {Array<string|object>} config.wikis Wikis to poll, either as
+     * subdomains of English Fandom wikis or as objects with `wiki`,
+     * `language` and `domain` properties
+     * @param {Client} client Client instance
+     * @param {string} name Name of the event source's logger
+     */
+    constructor(config, client, name) {
+        super(config, client);
+        const {interval, wikis} = this._config;
+        this._logger = new Logger({
+            file: true,
+            name,
+            stdout: true
+        });
+        this._interval = typeof interval === 'number' ?
+            interval :
+            DEFAULT_INTERVAL;
+        this._wikis = (wikis instanceof Array ? wikis : [])
+            .map(Poller.normalizeWiki)
+            .filter(Boolean);
+        this._polling = null;
+    }
+    /**
+     * Normalizes a wiki specified in configuration.
+     * @param {string|object} wiki Subdomain of an English Fandom wiki or an
+     * object with `wiki`, `language` and `domain` properties
+     * @returns {object|null} Wiki with `wiki`, `language`, `domain` and `key`
+     * properties, if valid
+     * @static
+     */
+    static normalizeWiki(wiki) {
+        const config = typeof wiki === 'string' ? {wiki} : wiki;
+        if (
+            typeof config !== 'object' ||
+            !config ||
+            typeof config.wiki !== 'string'
+        ) {
+            return null;
+        }
+        const language = typeof config.language === 'string' ?
+            config.language :
+            'en';
+        const domain = config.domain || 'fandom.com';
+        return {
+            domain,
+            key: `${language}.${config.wiki}.${domain}`,
+            language,
+            wiki: config.wiki
+        };
+    }
+    /**
+     * Starts polling wikis.
+     */
+    run() {
+        this._logger.info('Polling', this._wikis.length, 'wikis...');
+        this._timer = setInterval(this._pollAll.bind(this), this._interval);
+        this._pollAll();
+    }
+    /**
+     * Polls all wikis, unless the previous poll has not finished yet.
+     * @protected
+     */
+    async _pollAll() {
+        if (this._polling) {
+            return;
+        }
+        this._polling = this._pollWikis();
+        await this._polling;
+        this._polling = null;
+    }
+    /**
+     * Polls all wikis, a few at a time, until polled or killed.
+     * @private
+     */
+    async _pollWikis() {
+        const wikis = Array.from(this._wikis);
+        while (wikis.length > 0 && !this._killing) {
+            await Promise.all(
+                wikis
+                    .splice(0, POLL_THREADS)
+                    .map(wiki => this._pollWiki(wiki))
+            );
+        }
+    }
+    /**
+     * Polls a single wiki and dispatches the resulting messages.
+     * @param {object} wiki Wiki to poll
+     * @private
+     */
+    async _pollWiki(wiki) {
+        try {
+            const messages = await this._poll(wiki);
+            for (const message of messages) {
+                await this._dispatch(message);
+            }
+        } catch (error) {
+            this._logger.error('Error while polling', wiki.key, ':', error);
+        }
+    }
+    /**
+     * Polls a single wiki for new activity. Implementations should resolve
+     * to an array of messages representing new activity.
+     * @param {object} _wiki Wiki to poll
+     * @throws {Error} If not implemented
+     * @protected
+     */
+    _poll(_wiki) {
+        throw new Error('Implement this method!');
+    }
+    /**
+     * Stops polling, waiting for wikis being polled to finish.
+     */
+    async kill() {
+        this._killing = true;
+        if (this._timer) {
+            clearInterval(this._timer);
+        }
+        if (this._polling) {
+            await this._polling;
+        }
+        this._logger.close();
+    }
+}
+
+module.exports = Poller;
@@ -0,0 +1,108 @@
+/**
+ * main.js
+ *
+ * Main module for the recent changes polling event source.
+ */
+'use strict';
+
+const Poller = require('../poller.js');
+const Client = require('../../include/client.js');
+const RecentChanges = require('../../include/recentchanges.js');
+const Message = require('../../parser/msg.js');
+
+/**
+ * Event source polling `list=recentchanges` of configured wikis.
+ * @augments Poller
+ */
+class RecentChangesSource extends Poller {
+    /**
+     * Class constructor.
+     * @param {object} config Event source configuration
+     * @param {number} config.limit Amount of changes to fetch per request
+     * @param {boolean} config.logevents Whether logs should be fetched from
+     * `list=logevents` instead of `list=recentchanges`
+     * @param {string} config.start ISO 8601 timestamp from which changes
+     * should be relayed, defaults to the time of the first poll
+     * @param {Client} client Client instance
+     */
+    constructor(config, client) {
+        super(config, client, 'recentchanges');
+        const {limit, logevents, start} = this._config;
+        this._rc = new RecentChanges(this._io, {limit});
+        this._logevents = Boolean(logevents);
+        this._start = typeof start === 'string' ? start : null;
+        this._state = new Map();
+    }
+    /**
+     * Polls a single wiki for new recent changes.
+     *
+     * Unless a starting point was configured, the first poll of a wiki only
+     * marks the point from which changes are relayed.
+     * @param {object} wiki Wiki to poll
+     * @returns {Promise<Message[]>} Messages representing new changes
+     * @protected
+     */
+    async _poll(wiki) {
+        let state = this._state.get(wiki.key);
+        if (!state) {
+            state = {
+                logid: 0,
+                rcid: 0,
+                start: this._start || new Date().toISOString()
+            };
+            this._state.set(wiki.key, state);
+            if (!this._start) {
+                return [];
+            }
+        }
+        const entries = (await this._fetch(wiki, state.start))
+            .filter(entry => (
+                typeof entry.rcid === 'number' ?
+                    entry.rcid > state.rcid :
+                    entry.logid > state.logid
+            ));
+        for (const entry of entries) {
+            if (typeof entry.rcid === 'number') {
+                state.rcid = Math.max(state.rcid, entry.rcid);
+            } else {
+                state.logid = Math.max(state.logid, entry.logid);
+            }
+            if (entry.timestamp > state.start) {
+                state.start = entry.timestamp;
+            }
+        }
+        return entries
+            .filter(entry => this._filter(entry))
+            .map(entry => this._client.parser.parseAPI(entry, wiki));
+    }
+    /**
+     * Fetches changes on a wiki since a specified point in time, oldest
+     * first.
+     * @param {object} wiki Wiki whose changes should be fetched
+     * @param {string} start ISO 8601 timestamp of the oldest change to fetch
+     * @returns {Promise<object[]>} Recent changes entries
+     * @private
+     */
+    async _fetch(wiki, start) {
+        if (!this._logevents) {
+            return this._rc.fetch(wiki, start);
+        }
+        const [changes, logs] = await Promise.all([
+            this._rc.fetch(wiki, start, 'edit|new'),
+            this._rc.fetchLogs(wiki, start)
+        ]);
+        return [...changes, ...logs]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    /**
+     * Determines whether a fetched change should be relayed.
+     * @param {object} _entry Recent changes entry
+     * @returns {boolean} Whether the change should be relayed
+     * @protected
+     */
+    _filter(_entry) {
+        return true;
+    }
+}
+
+module.exports = RecentChangesSource;
@@ -0,0 +1,59 @@
+/**
+ * main.js
+ *
+ * Main module for the replay event source.
+ */
+'use strict';
+
+const IRC = require('../irc/main.js');
+const Client = require('../../include/client.js');
+const Replayer = require('../../include/replayer.js');
+
+/**
+ * Event source feeding recorded IRC traffic through the same handling as
+ * live IRC traffic, without connecting to IRC.
+ * @augments IRC
+ */
+class Replay extends IRC {
+    /**
+     * Class constructor.
+     * @param {object} config IRC client configuration, along with the replay
+     * options
+     * @param {string} config.file Capture file to replay
+     * @param {boolean} config.realtime Whether the capture file should be
+     * replayed with its original pacing
+     * @param {Client} client Client instance
+     */
+    constructor(config, client) {
+        super({
+            ...config,
+            record: null
+        }, client);
+        this._replayer = new Replayer(config.file, {
+            realtime: config.realtime
+        });
+    }
+    /**
+     * Feeds recorded IRC lines through the message pipeline. Resolves once
+     * the whole capture file has been replayed.
+     */
+    async run() {
+        this._logger.info('Replaying recorded IRC traffic...');
+        try {
+            const {replayed, skipped} = await this._replayer.run(
+                this._message.bind(this)
+            );
+            this._logger.info(
+                'Replay finished:',
+                replayed,
+                'lines replayed,',
+                skipped,
+                'invalid lines skipped.'
+            );
+        } catch (error) {
+            this._logger.error('Error while replaying:', error);
+        }
+    }
+}
+
+module.exports = Replay;
@@ -0,0 +1,52 @@
+/**
+ * source.js
+ *
+ * Base module for all event sources.
+ */
+'use strict';
+
+const Client = require('../include/client.js');
+const Message = require('../parser/msg.js');
+
+/**
+ * Base event source class.
+ *
+ * Event sources receive wiki activity from somewhere (IRC, the MediaWiki API,
+ * a capture file...) and pass it to the client as parsed messages.
+ */
+class EventSource {
+    /**
+     * Class constructor.
+     * @param {object} config Event source configuration
+     * @param {Client} client Client instance
+     */
+    constructor(config, client) {
+        this._config = config || {};
+        this._client = client;
+        this._io = client.io;
+    }
+    /**
+     * Starts receiving events.
+     * @throws {Error} If not implemented
+     */
+    run() {
+        throw new Error('Implement this method!');
+    }
+    /**
+     * Passes a message received from the source to the client.
+     * @param {Message} message Parsed message
+     * @protected
+     */
+    async _dispatch(message) {
+        await this._client.dispatch(message);
+    }
+    /* eslint-disable no-empty-function */
+    /**
+     * Disposes resources used by the event source so KockaLogger can cleanly
+     * exit.
+     */
+    kill() {}
+    /* eslint-enable */
+}
+
+module.exports = EventSource;
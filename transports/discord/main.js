@@ -5,44 +5,394 @@
  */
 'use strict';
 
+const Redis = require('ioredis');
 const Transport = require('../transport.js');
-const {WebhookClient} = require('discord.js');
+const Message = require('../../parser/msg.js');
+const {render} = require('../template.js');
+const {
+    DiscordAPIError,
+    RESTJSONErrorCodes,
+    RateLimitError,
+    WebhookClient
+} = require('discord.js');
+
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_EMBEDS = 10;
+const DEFAULT_BATCH_INTERVAL = 10 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+const MAX_THREAD_NAME_LENGTH = 100;
+const BATCHABLE_KEYS = ['content', 'embeds', 'threadId', 'threadName'];
+const MAX_COALESCED = 1000;
 
 /**
  * Discord transport class.
+ *
+ * Messages can be posted into a thread of the webhook's channel, either a
+ * fixed one or one picked by a name filled from the message. Threads picked
+ * by name are created as forum posts when first needed, and their IDs are
+ * kept in Redis so they are reused after restarts.
+ *
+ * Messages marked by formats as coalescing edits edit the message posted
+ * for the first of these edits instead of being posted as new messages.
  * @augments Transport
  */
 class Discord extends Transport {
     /**
      * Class constructor.
      * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
      */
-    constructor(config) {
-        super(config);
+    constructor(config, cache) {
+        super(config, cache);
         this._webhook = new WebhookClient({
             id: config.id,
             token: config.token
         }, {
             allowedMentions: {
                 parse: ['users']
+            },
+            rest: {
+                // Rate limits and retries are handled by the transport queue.
+                rejectOnRateLimit: () => true,
+                retries: 0
             }
         });
+        this._threadsKey = `transport:discord:${config.id}:threads`;
+        // Maps IDs of coalesced edits to messages posted for them.
+        this._coalesced = new Map();
+        this._initBatching(config.batch);
+    }
+    /**
+     * Initializes message batching.
+     * @param {object|boolean} batch Batching configuration, or `true` to
+     * batch messages with default settings
+     * @param {number} batch.interval Maximum time in milliseconds messages
+     * wait for before being sent
+     * @param {number} batch.size Amount of messages after which batched
+     * messages are sent immediately
+     * @private
+     */
+    _initBatching(batch) {
+        if (!batch) {
+            return;
+        }
+        const {interval, size} = typeof batch === 'object' ? batch : {};
+        this._batch = {
+            interval: typeof interval === 'number' ?
+                interval :
+                DEFAULT_BATCH_INTERVAL,
+            size: typeof size === 'number' ? size : DEFAULT_BATCH_SIZE
+        };
+        this._pending = [];
+    }
+    /**
+     * Gets whether the transport can edit messages it posted, so that
+     * formats can coalesce consecutive edits into one message.
+     *
+     * Batched messages are joined with others before being posted, so
+     * coalescing is not supported while batching.
+     * @returns {boolean} Whether posted messages can be edited
+     */
+    get coalescable() {
+        return !this._batch;
     }
     /**
      * Executes the transport.
-     * @param {object} message Formatted message to transport
+     * @param {object} formatted Formatted message to transport
+     * @param {Message} original Message the formatted message was built
+     * from, if there is a single one
+     */
+    execute(formatted, original) {
+        const message = this._route(formatted, original);
+        if (!this._batch || !this._batchable(message)) {
+            this.send(message);
+            return;
+        }
+        this._pending.push(message);
+        if (this._pending.length >= this._batch.size) {
+            this._flush();
+        } else if (!this._timeout) {
+            this._timeout = setTimeout(
+                this._flush.bind(this),
+                this._batch.interval
+            );
+        }
+    }
+    /**
+     * Picks the thread a message should be posted into.
+     * @param {object} message Formatted message
+     * @param {Message} original Message the formatted message was built from
+     * @returns {object} Formatted message with the thread set
+     * @private
+     */
+    _route(message, original) {
+        const {threadId, threadName} = this._config;
+        if (typeof threadId === 'string') {
+            return {
+                ...message,
+                threadId
+            };
+        }
+        if (typeof threadName !== 'string') {
+            return message;
+        }
+        const name = render(threadName, {
+            date: new Date().toISOString().substring(0, 10),
+            ...original instanceof Message ? original.toJSON() : {}
+        });
+        const trimmed = name === null ?
+            '' :
+            String(name).trim().substring(0, MAX_THREAD_NAME_LENGTH);
+        if (!trimmed) {
+            this._logger.error(
+                'Thread name template gave an empty name, posting to channel:',
+                threadName
+            );
+            return message;
+        }
+        return {
+            ...message,
+            threadName: trimmed
+        };
+    }
+    /**
+     * Checks whether a message can be joined with other messages.
+     * @param {object} message Formatted message
+     * @returns {boolean} Whether the message only has content or embeds,
+     * and optionally the thread to post it into
+     * @private
+     */
+    _batchable(message) {
+        return Object.keys(message)
+            .every(key => BATCHABLE_KEYS.includes(key));
+    }
+    /**
+     * Sends all batched messages.
+     * @private
+     */
+    _flush() {
+        if (this._timeout) {
+            clearTimeout(this._timeout);
+            delete this._timeout;
+        }
+        // Only messages going into the same thread can be joined.
+        const threads = new Map();
+        for (const {content, embeds, ...thread} of this._pending) {
+            const key = JSON.stringify(thread);
+            if (!threads.has(key)) {
+                threads.set(key, {
+                    messages: [],
+                    thread
+                });
+            }
+            threads.get(key).messages.push({
+                content,
+                embeds
+            });
+        }
+        this._pending = [];
+        for (const {messages, thread} of threads.values()) {
+            for (const message of this._join(messages)) {
+                this.send({
+                    ...message,
+                    ...thread
+                });
+            }
+        }
+    }
+    /**
+     * Joins messages into as few messages as Discord's limits on message
+     * length and embed count allow.
+     * @param {object[]} messages Formatted messages to join
+     * @returns {object[]} Joined messages
+     * @private
+     */
+    _join(messages) {
+        const joined = [];
+        let current = {
+            content: '',
+            embeds: []
+        };
+        for (const {content, embeds} of messages) {
+            const line = typeof content === 'string' ?
+                this._truncate(content) :
+                '';
+            const newEmbeds = embeds instanceof Array ? embeds : [];
+            const length = current.content.length + line.length +
+                (current.content && line ? 1 : 0);
+            if (
+                length > MAX_CONTENT_LENGTH ||
+                current.embeds.length + newEmbeds.length > MAX_EMBEDS
+            ) {
+                joined.push(current);
+                current = {
+                    content: '',
+                    embeds: []
+                };
+            }
+            if (line) {
+                current.content = current.content ?
+                    `${current.content}\n${line}` :
+                    line;
+            }
+            current.embeds.push(...newEmbeds);
+        }
+        joined.push(current);
+        return joined
+            .filter(message => message.content || message.embeds.length)
+            .map(({content, embeds}) => ({
+                ...content ? {content} : {},
+                ...embeds.length ? {embeds} : {}
+            }));
+    }
+    /**
+     * Shortens message content to fit into a Discord message.
+     * @param {string} content Message content
+     * @returns {string} Message content no longer than the limit
+     * @private
+     */
+    _truncate(content) {
+        if (content.length <= MAX_CONTENT_LENGTH) {
+            return content;
+        }
+        return `${content.substring(0, MAX_CONTENT_LENGTH - 1)}…`;
+    }
+    /**
+     * Delivers a message through the webhook.
+     * @param {object} message Formatted message to deliver
+     * @private
      */
-    async execute(message) {
+    async _deliver(message) {
+        const {coalesce, ...rest} = message;
+        const previous = coalesce && this._coalesced.get(coalesce);
+        if (previous) {
+            const {content, embeds} = rest;
+            try {
+                await this._webhook.editMessage(previous.id, {
+                    content,
+                    embeds,
+                    threadId: previous.threadId
+                });
+                return;
+            } catch (error) {
+                if (!this._deleted(error)) {
+                    throw error;
+                }
+                this._coalesced.delete(coalesce);
+            }
+        }
+        const posted = await this._post(rest);
+        if (coalesce) {
+            this._remember(coalesce, posted, rest);
+        }
+    }
+    /**
+     * Posts a message through the webhook, into a thread picked by name if
+     * there is one.
+     * @param {object} message Formatted message to post
+     * @returns {Promise<object>} Posted message
+     * @private
+     */
+    async _post(message) {
+        const {threadName, ...rest} = message;
+        if (!threadName) {
+            return this._webhook.send(message);
+        }
+        const threadId = this._cache ?
+            await this._cache.hget(this._threadsKey, threadName) :
+            null;
+        if (threadId) {
+            try {
+                return await this._webhook.send({
+                    ...rest,
+                    threadId
+                });
+            } catch (error) {
+                if (!this._deleted(error)) {
+                    throw error;
+                }
+                this._logger.warn('Thread', threadName, 'was deleted');
+                await this._cache.hdel(this._threadsKey, threadName);
+            }
+        }
+        // Posting with a thread name creates a new forum post.
+        const posted = await this._webhook.send(message);
+        if (!this._cache) {
+            return posted;
+        }
         try {
-            await this._webhook.send(message);
+            await this._cache.hset(
+                this._threadsKey,
+                threadName,
+                posted.channel_id
+            );
         } catch (error) {
-            this._logger.error('Discord transport error:', error);
+            this._logger.error('Failed to store thread ID:', error);
         }
+        return posted;
     }
     /**
-     * Disposes resources used by the transport so KockaLogger can cleanly exit.
+     * Remembers the message posted for coalesced edits, so that it can be
+     * edited when more edits are coalesced into it.
+     * @param {string} coalesce ID of the coalesced edits
+     * @param {object} posted Posted message
+     * @param {object} message Formatted message that was posted
+     * @private
      */
-    kill() {
+    _remember(coalesce, posted, message) {
+        this._coalesced.set(coalesce, {
+            id: posted.id,
+            // Messages in threads can only be edited through the thread.
+            threadId: message.threadId || message.threadName ?
+                posted.channel_id :
+                undefined
+        });
+        if (this._coalesced.size > MAX_COALESCED) {
+            this._coalesced.delete(this._coalesced.keys().next().value);
+        }
+    }
+    /**
+     * Checks whether a delivery failed because the thread or message it
+     * was meant for was deleted.
+     * @param {Error} error Error the delivery failed with
+     * @returns {boolean} Whether the thread or message no longer exists
+     * @private
+     */
+    _deleted(error) {
+        return error instanceof DiscordAPIError && (
+            error.code === RESTJSONErrorCodes.UnknownChannel ||
+            error.code === RESTJSONErrorCodes.UnknownMessage
+        );
+    }
+    /**
+     * Gets the delay requested by Discord when the webhook got rate limited.
+     * @param {Error} error Error the delivery failed with
+     * @returns {number|null} Milliseconds to wait before retrying, or null if
+     * the webhook did not get rate limited
+     * @private
+     */
+    _retryAfter(error) {
+        return error instanceof RateLimitError ? error.retryAfter : null;
+    }
+    /**
+     * Determines whether a failed delivery is worth retrying.
+     * @param {Error} error Error the delivery failed with
+     * @returns {boolean} Whether the delivery failed due to a network or
+     * server error
+     * @private
+     */
+    _retryable(error) {
+        return typeof error.status !== 'number' || error.status >= 500;
+    }
+    /**
+     * Sends batched messages and disposes resources used by the transport so
+     * KockaLogger can cleanly exit.
+     */
+    async kill() {
+        if (this._batch) {
+            this._flush();
+        }
+        await super.kill();
         this._webhook.destroy();
     }
 }
@@ -0,0 +1,292 @@
+/**
+ * main.js
+ *
+ * Main module for the file transport.
+ */
+'use strict';
+
+const {Buffer} = require('buffer');
+const {createReadStream, createWriteStream} = require('fs');
+const {mkdir, readdir, stat, unlink} = require('fs/promises');
+const path = require('path');
+const {pipeline} = require('stream/promises');
+const {promisify} = require('util');
+const {createGzip} = require('zlib');
+const Redis = require('ioredis');
+const Transport = require('../transport.js');
+const Markdown = require('../markdown.js');
+
+const DEFAULT_DIRECTORY = 'logs/archive';
+const DAY = 24 * 60 * 60 * 1000;
+const EXTENSIONS = {
+    json: 'jsonl',
+    text: 'log'
+};
+
+/**
+ * File transport class.
+ *
+ * Archives messages into a file per wiki per day, either as JSON Lines or
+ * as text. Files can additionally be rotated once they grow too large,
+ * compressed once closed and deleted after a number of days.
+ * @augments Transport
+ */
+class File extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
+     * @param {string} wiki Key of the wiki whose messages are archived
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config, cache, wiki) {
+        super(config, cache);
+        const {directory, gzip, maxSize, mode, retention} = config;
+        if (
+            directory !== undefined && typeof directory !== 'string' ||
+            mode !== undefined && !Object.hasOwn(EXTENSIONS, mode)
+        ) {
+            throw new Error('Invalid file transport configuration!');
+        }
+        this._directory = path.resolve(
+            typeof directory === 'string' ? directory : DEFAULT_DIRECTORY
+        );
+        this._mode = mode || 'json';
+        this._gzip = Boolean(gzip);
+        this._maxSize = typeof maxSize === 'number' ? maxSize : 0;
+        this._retention = typeof retention === 'number' ? retention : 0;
+        this._wiki = wiki || 'default';
+    }
+    /**
+     * Gets the type of the format used for the transport when none is
+     * configured.
+     * @returns {string} Format type
+     */
+    get defaultFormat() {
+        return this._mode === 'json' ? 'json' : 'logger';
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     */
+    execute(message) {
+        // Replayed messages should end up in the file they belong to.
+        this.send({
+            message,
+            time: Date.now(),
+            wiki: this._wiki
+        });
+    }
+    /**
+     * Appends a message to the archive file of its wiki and day.
+     * @param {object} entry Queued message
+     * @param {object} entry.message Formatted message
+     * @param {number} entry.time When the message was queued
+     * @param {string} entry.wiki Key of the wiki the message is from
+     * @private
+     */
+    async _deliver({message, time, wiki}) {
+        const line = this._line(message, time);
+        const length = Buffer.byteLength(line);
+        const date = new Date(time).toISOString().slice(0, 10);
+        const current = this._current;
+        if (!current || current.wiki !== wiki || current.date !== date) {
+            await this._close();
+            await this._open(wiki, date);
+            await this._prune(wiki);
+        } else if (
+            this._maxSize &&
+            current.size > 0 &&
+            current.size + length > this._maxSize
+        ) {
+            await this._close();
+            await this._open(wiki, date, current.part + 1);
+        }
+        const {stream} = this._current;
+        await promisify(stream.write).call(stream, line);
+        this._current.size += length;
+    }
+    /**
+     * Converts a message into a line of the archive file.
+     * @param {object} message Formatted message
+     * @param {number} time When the message was queued
+     * @returns {string} Line to append
+     * @private
+     */
+    _line(message, time) {
+        const iso = new Date(time).toISOString();
+        if (this._mode === 'json') {
+            return `${JSON.stringify({
+                time: iso,
+                ...message
+            })}\n`;
+        }
+        const text = Markdown.toText(Markdown.fromMessage(message));
+        return `[${iso}] ${text.replace(/\n/gu, '\n    ')}\n`;
+    }
+    /**
+     * Gets the file name of an archive file.
+     * @param {string} date Day the file is for, in YYYY-MM-DD format
+     * @param {number} part Number of the file within the day
+     * @returns {string} File name
+     * @private
+     */
+    _name(date, part) {
+        return `${date}${part ? `.${part}` : ''}.${EXTENSIONS[this._mode]}`;
+    }
+    /**
+     * Opens the archive file of a wiki for a day.
+     *
+     * Unless a part is specified, writing continues in the last part of the
+     * day, or a new part if that one has already been compressed. Files
+     * left uncompressed by earlier runs, which were killed while writing to
+     * them, are then compressed if configured.
+     * @param {string} wiki Key of the wiki
+     * @param {string} date Day to open the file for, in YYYY-MM-DD format
+     * @param {number} part Number of the file within the day
+     * @private
+     */
+    async _open(wiki, date, part) {
+        const directory = path.join(this._directory, wiki);
+        await mkdir(directory, {recursive: true});
+        let number = part;
+        const uncompressed = [];
+        if (typeof number !== 'number') {
+            number = 0;
+            for (const file of await readdir(directory)) {
+                const match = this._parse(file);
+                if (!match) {
+                    continue;
+                }
+                if (!match.compressed) {
+                    uncompressed.push(match);
+                }
+                if (match.date === date && match.part >= number) {
+                    number = match.part + (match.compressed ? 1 : 0);
+                }
+            }
+        }
+        if (this._gzip) {
+            for (const match of uncompressed) {
+                if (match.date < date || match.part < number) {
+                    await this._compress(
+                        path.join(directory, this._name(match.date, match.part))
+                    );
+                }
+            }
+        }
+        const file = path.join(directory, this._name(date, number));
+        let size = 0;
+        try {
+            ({size} = await stat(file));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        this._current = {
+            date,
+            file,
+            part: number,
+            size,
+            stream: createWriteStream(file, {flags: 'a'}),
+            wiki
+        };
+    }
+    /**
+     * Closes the current archive file and compresses it if configured.
+     * @private
+     */
+    async _close() {
+        const current = this._current;
+        if (!current) {
+            return;
+        }
+        delete this._current;
+        await promisify(current.stream.end).call(current.stream);
+        if (this._gzip && current.size > 0) {
+            await this._compress(current.file);
+        }
+    }
+    /**
+     * Compresses an archive file, replacing it with the compressed file.
+     * @param {string} file Path to the archive file
+     * @private
+     */
+    async _compress(file) {
+        try {
+            await pipeline(
+                createReadStream(file),
+                createGzip(),
+                createWriteStream(`${file}.gz`)
+            );
+            await unlink(file);
+        } catch (error) {
+            this._logger.error('Failed to compress', file, error);
+        }
+    }
+    /**
+     * Parses the name of an archive file.
+     * @param {string} file File name
+     * @returns {object|null} Day and part of the file and whether it is
+     * compressed, or null if the file is not an archive file
+     * @private
+     */
+    _parse(file) {
+        const match = new RegExp(
+            `^(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.${
+                EXTENSIONS[this._mode]
+            }(\\.gz)?$`,
+            'u'
+        ).exec(file);
+        if (!match) {
+            return null;
+        }
+        return {
+            compressed: Boolean(match[3]),
+            date: match[1],
+            part: Number(match[2] || 0)
+        };
+    }
+    /**
+     * Deletes archive files of a wiki older than the retention limit.
+     * @param {string} wiki Key of the wiki
+     * @private
+     */
+    async _prune(wiki) {
+        if (!this._retention) {
+            return;
+        }
+        const directory = path.join(this._directory, wiki);
+        const oldest = new Date(Date.now() - (this._retention - 1) * DAY)
+            .toISOString()
+            .slice(0, 10);
+        for (const file of await readdir(directory)) {
+            const match = this._parse(file);
+            if (match && match.date < oldest) {
+                try {
+                    await unlink(path.join(directory, file));
+                } catch (error) {
+                    this._logger.error('Failed to delete', file, error);
+                }
+            }
+        }
+    }
+    /**
+     * Disposes resources used by the transport so KockaLogger can cleanly exit.
+     *
+     * The current archive file is left uncompressed, as writing to it
+     * continues after a restart on the same day. Otherwise, it is compressed
+     * once the next file is opened after the restart.
+     */
+    async kill() {
+        await super.kill();
+        const current = this._current;
+        if (current) {
+            delete this._current;
+            await promisify(current.stream.end).call(current.stream);
+        }
+    }
+}
+
+module.exports = File;
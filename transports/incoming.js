@@ -0,0 +1,122 @@
+/**
+ * incoming.js
+ *
+ * Module required by all incoming webhook transports.
+ */
+'use strict';
+
+const Redis = require('ioredis');
+const got = require('got');
+const Transport = require('./transport.js');
+const Markdown = require('./markdown.js');
+
+/**
+ * Base class for transports posting to incoming webhooks of chat services.
+ *
+ * Subclasses check whether the webhook URL belongs to their service and
+ * build the payload the service expects from formatted messages.
+ * @augments Transport
+ */
+class IncomingWebhook extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
+     * @throws {Error} If the webhook URL is invalid
+     */
+    constructor(config, cache) {
+        super(config, cache);
+        const {url} = config;
+        if (typeof url !== 'string' || !this._validate(url)) {
+            throw new Error(
+                `Invalid ${this.constructor.name} transport configuration!`
+            );
+        }
+        this._url = url;
+    }
+    /**
+     * Checks whether a webhook URL belongs to the service.
+     * @param {string} _url Webhook URL
+     * @throws {Error} If not implemented
+     * @protected
+     */
+    _validate(_url) {
+        throw new Error('Implement this method!');
+    }
+    /**
+     * Builds the payload posted to the webhook.
+     * @param {object} message Formatted message
+     * @returns {object|null} Payload, or null if there is nothing to post
+     * @protected
+     */
+    _payload(message) {
+        return message;
+    }
+    /**
+     * Gets the text of a formatted message.
+     * @param {object} message Formatted message
+     * @returns {string} Text of the message, with embeds flattened into
+     * lines of text
+     * @protected
+     */
+    _text(message) {
+        return Markdown.fromMessage(message);
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     * @returns {Promise|undefined} Promise resolving once the message has
+     * been either delivered or stored in the dead-letter list, if there was
+     * anything to deliver
+     */
+    execute(message) {
+        const payload = this._payload(message);
+        if (payload) {
+            return this.send(payload);
+        }
+    }
+    /**
+     * Delivers a payload through the webhook.
+     * @param {object} payload Payload to deliver
+     * @private
+     */
+    async _deliver(payload) {
+        await got(this._url, {
+            json: payload,
+            method: 'POST',
+            // Retries are handled by the transport queue.
+            retry: 0
+        });
+    }
+    /**
+     * Gets the delay requested by the service when the webhook got rate
+     * limited.
+     * @param {Error} error Error the delivery failed with
+     * @returns {number|null} Milliseconds to wait before retrying, or null if
+     * the webhook did not get rate limited
+     * @private
+     */
+    _retryAfter(error) {
+        const {response} = error;
+        if (!response || response.statusCode !== 429) {
+            return null;
+        }
+        const retryAfter = Number(response.headers['retry-after']);
+        return isNaN(retryAfter) ? null : retryAfter * 1000;
+    }
+    /**
+     * Determines whether a failed delivery is worth retrying.
+     * @param {Error} error Error the delivery failed with
+     * @returns {boolean} Whether the delivery failed due to a network error,
+     * server error or rate limit
+     * @private
+     */
+    _retryable(error) {
+        const {response} = error;
+        return !response ||
+            response.statusCode === 429 ||
+            response.statusCode >= 500;
+    }
+}
+
+module.exports = IncomingWebhook;
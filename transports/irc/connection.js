@@ -0,0 +1,214 @@
+/**
+ * connection.js
+ *
+ * Module for IRC connections shared between IRC transports.
+ */
+'use strict';
+
+const {promisify} = require('util');
+const irc = require('irc-upd');
+const Logger = require('../../include/log.js');
+
+const DEFAULT_PORT = 6667;
+const DEFAULT_THROTTLE = 1000;
+
+const connections = new Map();
+
+/**
+ * Persistent connection to an IRC network.
+ *
+ * Transports posting to the same network under the same nickname share a
+ * connection, which stays in their channels, rejoins them when kicked or
+ * reconnected, and sends lines from all of them through a single throttled
+ * queue to avoid getting kicked for flooding.
+ */
+class Connection {
+    /**
+     * Class constructor.
+     * @param {string} key Key the connection is shared under
+     * @param {object} config IRC transport configuration
+     */
+    constructor(key, config) {
+        const {
+            nick, password, port, realname, secure, server, throttle, username
+        } = config;
+        this._key = key;
+        this._users = 0;
+        this._channels = new Map();
+        this._pending = [];
+        this._last = 0;
+        this._throttle = typeof throttle === 'number' ?
+            throttle :
+            DEFAULT_THROTTLE;
+        this._logger = new Logger({
+            file: true,
+            name: 'irc-connection'
+        });
+        this._irc = new irc.Client(server, nick, {
+            autoRejoin: true,
+            autoRenick: true,
+            password,
+            port: port || DEFAULT_PORT,
+            realName: realname || nick,
+            secure: Boolean(secure),
+            userName: username || nick
+        });
+        this._irc.out.error = this._logger.error.bind(this._logger);
+        this._irc.on('registered', this._registered.bind(this));
+        this._irc.on('error', this._error.bind(this));
+        this._irc.on('netError', this._netError.bind(this));
+    }
+    /**
+     * Gets a connection for a transport, connecting to the network if no
+     * other transport is connected to it under the same nickname.
+     * @param {object} config IRC transport configuration
+     * @returns {Connection} Shared IRC connection
+     * @static
+     */
+    static acquire(config) {
+        const key = JSON.stringify([
+            config.server,
+            config.port || DEFAULT_PORT,
+            config.nick
+        ]);
+        if (!connections.has(key)) {
+            connections.set(key, new Connection(key, config));
+        }
+        const connection = connections.get(key);
+        ++connection._users;
+        return connection;
+    }
+    /**
+     * The client has registered on the IRC network.
+     * @private
+     */
+    _registered() {
+        this._logger.info('Connected to', this._irc.opt.server);
+    }
+    /**
+     * An IRC error occurred.
+     * @param {object} command IRC command sent upon error
+     * @private
+     */
+    _error(command) {
+        this._logger.error('IRC error:', command);
+    }
+    /**
+     * A network error with the IRC socket occurred.
+     * @param {Error} error Error event that occurred in the socket
+     * @private
+     */
+    _netError(error) {
+        this._logger.error('Socket error:', error);
+    }
+    /**
+     * Joins a channel and stays in it until all transports posting to it
+     * have been killed.
+     * @param {string} channel Channel to join
+     */
+    join(channel) {
+        const key = channel.toLowerCase();
+        const count = this._channels.get(key) || 0;
+        this._channels.set(key, count + 1);
+        if (count) {
+            return;
+        }
+        // Channels from the options are joined after (re)connecting.
+        this._irc.opt.channels.push(channel);
+        if (this._irc.conn) {
+            this._irc.send('JOIN', channel);
+        }
+    }
+    /**
+     * Checks whether the client is currently in a channel.
+     * @param {string} channel Channel to check
+     * @returns {boolean} Whether lines can be sent to the channel
+     */
+    joined(channel) {
+        return Boolean(this._irc.conn) && Boolean(this._irc.chanData(channel));
+    }
+    /**
+     * Queues lines to be sent to a channel.
+     * @param {string} channel Channel to send the lines to
+     * @param {string[]} lines Lines to send, short enough to fit in a single
+     * IRC message each
+     * @returns {Promise} Promise resolving once all lines have been sent
+     */
+    say(channel, lines) {
+        return new Promise(function(resolve, reject) {
+            this._pending.push({
+                channel,
+                lines,
+                reject,
+                resolve
+            });
+            if (!this._draining) {
+                this._drain();
+            }
+        }.bind(this));
+    }
+    /**
+     * Sends queued lines, waiting between lines so the network does not
+     * consider the client to be flooding.
+     * @private
+     */
+    async _drain() {
+        this._draining = true;
+        while (this._pending.length) {
+            const {
+                channel, lines, reject, resolve: sent
+            } = this._pending.shift();
+            try {
+                for (const line of lines) {
+                    const delay = this._last + this._throttle - Date.now();
+                    if (delay > 0) {
+                        await new Promise(function(resolve) {
+                            setTimeout(resolve, delay);
+                        });
+                    }
+                    if (!this.joined(channel)) {
+                        throw new Error(`Not in channel ${channel}.`);
+                    }
+                    this._irc.say(channel, line);
+                    this._last = Date.now();
+                }
+                sent();
+            } catch (error) {
+                reject(error);
+            }
+        }
+        this._draining = false;
+    }
+    /**
+     * Leaves a channel if no other transports post to it, and disconnects
+     * from the network if no transports use the connection anymore.
+     * @param {string} channel Channel the transport was posting to
+     */
+    async release(channel) {
+        const key = channel.toLowerCase();
+        const count = this._channels.get(key) - 1;
+        --this._users;
+        if (count) {
+            this._channels.set(key, count);
+        } else {
+            this._channels.delete(key);
+            if (this._users) {
+                this._irc.part(channel);
+            }
+        }
+        if (this._users) {
+            return;
+        }
+        connections.delete(this._key);
+        if (this._irc.conn && !this._irc.conn.destroyed) {
+            await promisify(this._irc.disconnect)
+                .call(this._irc, 'User-requested shutdown.');
+        } else {
+            // Stops reconnection attempts.
+            this._irc.disconnect();
+        }
+        this._logger.close();
+    }
+}
+
+module.exports = Connection;
@@ -0,0 +1,142 @@
+/**
+ * main.js
+ *
+ * Main module for the IRC transport.
+ */
+'use strict';
+
+const {Buffer} = require('buffer');
+const Redis = require('ioredis');
+const Transport = require('../transport.js');
+const Markdown = require('../markdown.js');
+const Connection = require('./connection.js');
+
+const DEFAULT_LINE_LENGTH = 400;
+const LINK_COLOR = '12';
+const DIFF_COLORS = {
+    '+': '03',
+    '-': '04'
+};
+// Formatting codes must not be split between lines.
+const TOKEN_REGEX = /\x03\d{1,2}(?:,\d{1,2})?|[\s\S]/gu;
+const MARKUP = {
+    bold: text => `\x02${text}\x02`,
+    code: (code, language) => (language === 'diff' ?
+        code
+            .split('\n')
+            .map(line => (DIFF_COLORS[line[0]] ?
+                `\x03${DIFF_COLORS[line[0]]}${line}\x03` :
+                line))
+            .join('\n') :
+        code),
+    italic: text => `\x1D${text}\x1D`,
+    link: (text, url) => `${text} <\x03${LINK_COLOR}${url}\x03>`,
+    text: text => text,
+    underline: text => `\x1F${text}\x1F`
+};
+
+/**
+ * Splits a line into lines no longer than the specified amount of bytes,
+ * preferably between words.
+ * @param {string} line Line to split
+ * @param {number} max Maximum amount of bytes in a line
+ * @returns {string[]} Split lines
+ */
+function splitLine(line, max) {
+    const lines = [];
+    let current = '';
+    for (const word of line.split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (Buffer.byteLength(candidate) <= max) {
+            current = candidate;
+            continue;
+        }
+        if (current) {
+            lines.push(current);
+        }
+        current = '';
+        for (const [token] of word.matchAll(TOKEN_REGEX)) {
+            if (Buffer.byteLength(current + token) > max) {
+                lines.push(current);
+                current = '';
+            }
+            current += token;
+        }
+    }
+    if (current) {
+        lines.push(current);
+    }
+    return lines;
+}
+
+/**
+ * IRC transport class.
+ *
+ * Relays messages into an IRC channel, with links written out as their
+ * titles followed by the URL.
+ * @augments Transport
+ */
+class IRC extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config, cache) {
+        super(config, cache);
+        const {channel, colors, lineLength, nick, server} = config;
+        if (
+            typeof server !== 'string' ||
+            typeof nick !== 'string' ||
+            typeof channel !== 'string' ||
+            !/^[#&]/u.test(channel)
+        ) {
+            throw new Error('Invalid IRC transport configuration!');
+        }
+        this._channel = channel;
+        this._colors = colors !== false;
+        this._lineLength = typeof lineLength === 'number' ?
+            lineLength :
+            DEFAULT_LINE_LENGTH;
+        this._connection = Connection.acquire(config);
+        this._connection.join(channel);
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     */
+    execute(message) {
+        const markdown = Markdown.fromMessage(message);
+        if (!markdown) {
+            return;
+        }
+        const text = this._colors ?
+            Markdown.convert(markdown, MARKUP) :
+            Markdown.toText(markdown);
+        const lines = text
+            .split('\n')
+            .filter(line => line.trim())
+            .flatMap(line => splitLine(line, this._lineLength));
+        if (lines.length) {
+            this.send(lines);
+        }
+    }
+    /**
+     * Sends lines of a message to the channel.
+     * @param {string[]} lines Lines of the message
+     * @private
+     */
+    async _deliver(lines) {
+        await this._connection.say(this._channel, lines);
+    }
+    /**
+     * Disposes resources used by the transport so KockaLogger can cleanly exit.
+     */
+    async kill() {
+        await super.kill();
+        await this._connection.release(this._channel);
+    }
+}
+
+module.exports = IRC;
@@ -0,0 +1,230 @@
+/**
+ * markdown.js
+ *
+ * Module for converting Markdown produced by formats into markup used by
+ * other services.
+ */
+'use strict';
+
+const CODE_BLOCK_REGEX = /```(\w*)\n?([\s\S]*?)```/gu;
+const INLINE_REGEX = new RegExp([
+    // Links, with optional angle brackets suppressing embeds.
+    '\\[((?:\\\\.|[^\\\\\\]])*)\\]\\(<?([^\\s<>()]+)>?\\)',
+    // Markdown escape sequences.
+    '\\\\([!-/:-@[-`{-~])',
+    '\\*\\*((?:\\\\.|[^\\\\])+?)\\*\\*',
+    '\\*((?:\\\\.|[^\\\\*])+?)\\*',
+    '__((?:\\\\.|[^\\\\])+?)__',
+    '_((?:\\\\.|[^\\\\_])+?)_'
+].join('|'), 'gu');
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/gu, '&amp;')
+        .replace(/</gu, '&lt;')
+        .replace(/>/gu, '&gt;')
+        .replace(/"/gu, '&quot;');
+}
+
+/**
+ * Converts Markdown produced by formats for Discord, which consists of
+ * links, bold, italic and underlined text, escape sequences and code blocks,
+ * into other markup.
+ */
+class Markdown {
+    /**
+     * Gets Markdown text from a formatted message, flattening embeds into
+     * lines of text.
+     * @param {object} message Formatted message
+     * @param {string} message.content Text of a Discord message
+     * @param {string} message.text Text of a Slack message
+     * @param {object[]} message.embeds Discord embeds
+     * @returns {string} Markdown text of the message
+     * @static
+     */
+    static fromMessage({content, text, embeds}) {
+        const lines = [];
+        if (content || text) {
+            lines.push(content || text);
+        }
+        if (embeds instanceof Array) {
+            for (const embed of embeds) {
+                lines.push(...Markdown._embed(embed));
+            }
+        }
+        return lines.join('\n');
+    }
+    /**
+     * Flattens a Discord embed into lines of Markdown text.
+     * @param {object} embed Discord embed
+     * @returns {string[]} Lines of Markdown text
+     * @static
+     * @private
+     */
+    static _embed(embed) {
+        const {author, title, url, description, fields} = embed;
+        const lines = [];
+        if (author && author.name) {
+            lines.push(author.url ?
+                `[${author.name}](<${author.url}>)` :
+                author.name);
+        }
+        if (title) {
+            lines.push(url ? `**[${title}](<${url}>)**` : `**${title}**`);
+        }
+        if (description) {
+            lines.push(description);
+        }
+        if (fields instanceof Array) {
+            lines.push(...fields.map(({name, value}) => `**${name}**: ${value}`));
+        }
+        return lines;
+    }
+    /**
+     * Converts Markdown using custom markup.
+     * @param {string} markdown Markdown to convert
+     * @param {object} markup Functions converting each part of the Markdown
+     * @param {Function} markup.text Converts plain text
+     * @param {Function} markup.bold Converts converted bold text
+     * @param {Function} markup.italic Converts converted italic text
+     * @param {Function} markup.underline Converts converted underlined text
+     * @param {Function} markup.link Converts converted link text and its URL
+     * @param {Function} markup.code Converts a code block's raw contents and
+     * its language
+     * @returns {string} Converted text
+     * @static
+     */
+    static convert(markdown, markup) {
+        return Markdown._split(
+            markdown,
+            CODE_BLOCK_REGEX,
+            ([, language, code]) => markup.code(
+                code.replace(/\n$/u, ''),
+                language
+            ),
+            text => Markdown._inline(text, markup)
+        );
+    }
+    /**
+     * Splits Markdown into blocks which can be converted separately, so
+     * long messages can be split without breaking formatting.
+     * @param {string} markdown Markdown to split
+     * @returns {string[]} Code blocks and lines of text outside them
+     * @static
+     */
+    static blocks(markdown) {
+        const blocks = [];
+        let index = 0;
+        for (const match of markdown.matchAll(CODE_BLOCK_REGEX)) {
+            blocks.push(...markdown.slice(index, match.index).split('\n'));
+            blocks.push(match[0]);
+            index = match.index + match[0].length;
+        }
+        blocks.push(...markdown.slice(index).split('\n'));
+        return blocks.filter(block => block.trim());
+    }
+    /**
+     * Converts Markdown into HTML.
+     * @param {string} markdown Markdown to convert
+     * @param {string} lineBreak Markup for line breaks outside code blocks
+     * @returns {string} HTML
+     * @static
+     */
+    static toHTML(markdown, lineBreak = '\n') {
+        return Markdown.convert(markdown, {
+            bold: text => `<strong>${text}</strong>`,
+            code: (code, language) => (language ?
+                `<pre><code class="language-${language}">${
+                    escapeHTML(code)
+                }</code></pre>` :
+                `<pre><code>${escapeHTML(code)}</code></pre>`),
+            italic: text => `<em>${text}</em>`,
+            link: (text, url) => `<a href="${escapeHTML(url)}">${text}</a>`,
+            text: text => escapeHTML(text).replace(/\n/gu, lineBreak),
+            underline: text => `<u>${text}</u>`
+        });
+    }
+    /**
+     * Converts Markdown into plain text.
+     * @param {string} markdown Markdown to convert
+     * @returns {string} Plain text, with links as their text followed by the
+     * URL in angle brackets
+     * @static
+     */
+    static toText(markdown) {
+        return Markdown.convert(markdown, {
+            bold: text => text,
+            code: code => code,
+            italic: text => text,
+            link: (text, url) => `${text} <${url}>`,
+            text: text => text,
+            underline: text => text
+        });
+    }
+    /**
+     * Splits text by a regular expression and converts matched and unmatched
+     * parts separately.
+     * @param {string} text Text to split
+     * @param {RegExp} regex Global regular expression to split the text by
+     * @param {Function} matched Converts a match of the regular expression
+     * @param {Function} unmatched Converts text between matches
+     * @returns {string} Converted text
+     * @static
+     * @private
+     */
+    static _split(text, regex, matched, unmatched) {
+        let result = '';
+        let index = 0;
+        for (const match of text.matchAll(regex)) {
+            result += unmatched(text.slice(index, match.index)) +
+                matched(match);
+            index = match.index + match[0].length;
+        }
+        return result + unmatched(text.slice(index));
+    }
+    /**
+     * Converts inline Markdown formatting.
+     * @param {string} text Markdown text without code blocks
+     * @param {object} markup Functions converting each part of the Markdown
+     * @returns {string} Converted text
+     * @static
+     * @private
+     */
+    static _inline(text, markup) {
+        return Markdown._split(
+            text,
+            INLINE_REGEX,
+            function(match) {
+                const [, title, url, escaped, bold, italic, underline] = match;
+                if (url) {
+                    return markup.link(
+                        Markdown._inline(title, markup),
+                        url.replace(/\u200B/gu, '')
+                    );
+                }
+                if (escaped) {
+                    return markup.text(escaped);
+                }
+                if (bold) {
+                    return markup.bold(Markdown._inline(bold, markup));
+                }
+                if (underline) {
+                    return markup.underline(
+                        Markdown._inline(underline, markup)
+                    );
+                }
+                return markup.italic(
+                    Markdown._inline(italic || match[7], markup)
+                );
+            },
+            markup.text
+        );
+    }
+}
+
+module.exports = Markdown;
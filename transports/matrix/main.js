@@ -0,0 +1,122 @@
+/**
+ * main.js
+ *
+ * Main module for the Matrix transport.
+ */
+'use strict';
+
+const {randomUUID} = require('crypto');
+const Redis = require('ioredis');
+const got = require('got');
+const Transport = require('../transport.js');
+const Markdown = require('../markdown.js');
+
+const DEFAULT_HOMESERVER = 'https://matrix.org';
+
+/**
+ * Matrix transport class.
+ *
+ * Posts messages to a Matrix room through the client-server API.
+ * @augments Transport
+ */
+class Matrix extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
+     */
+    constructor(config, cache) {
+        super(config, cache);
+        const {homeserver, room, token} = config;
+        const server = typeof homeserver === 'string' ?
+            homeserver.replace(/\/+$/u, '') :
+            DEFAULT_HOMESERVER;
+        if (
+            typeof room !== 'string' ||
+            !room.startsWith('!') ||
+            typeof token !== 'string' ||
+            !/^https?:\/\//u.test(server)
+        ) {
+            throw new Error('Invalid Matrix transport configuration!');
+        }
+        this._url = `${server}/_matrix/client/v3/rooms/${
+            encodeURIComponent(room)
+        }/send/m.room.message/`;
+        this._token = token;
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     */
+    execute(message) {
+        const markdown = Markdown.fromMessage(message);
+        if (!markdown) {
+            return;
+        }
+        this.send({
+            body: Markdown.toText(markdown),
+            format: 'org.matrix.custom.html',
+            // eslint-disable-next-line camelcase
+            formatted_body: Markdown.toHTML(markdown, '<br>'),
+            msgtype: 'm.notice',
+            // Keeps retried deliveries from being posted twice.
+            txnId: randomUUID()
+        });
+    }
+    /**
+     * Delivers a message to the room.
+     * @param {object} message Matrix event content with a transaction ID
+     * @private
+     */
+    async _deliver(message) {
+        const {txnId, ...content} = message;
+        await got(`${this._url}${encodeURIComponent(txnId)}`, {
+            headers: {
+                Authorization: `Bearer ${this._token}`
+            },
+            json: content,
+            method: 'PUT',
+            // Retries are handled by the transport queue.
+            retry: 0
+        });
+    }
+    /**
+     * Gets the delay requested by the homeserver when the transport got rate
+     * limited.
+     * @param {Error} error Error the delivery failed with
+     * @returns {number|null} Milliseconds to wait before retrying, or null if
+     * the transport did not get rate limited
+     * @private
+     */
+    _retryAfter(error) {
+        const {response} = error;
+        if (!response || response.statusCode !== 429) {
+            return null;
+        }
+        try {
+            const body = JSON.parse(response.body);
+            if (typeof body.retry_after_ms === 'number') {
+                return body.retry_after_ms;
+            }
+        } catch (_error) {
+            // Fall back to the Retry-After header.
+        }
+        const retryAfter = Number(response.headers['retry-after']);
+        return isNaN(retryAfter) ? null : retryAfter * 1000;
+    }
+    /**
+     * Determines whether a failed delivery is worth retrying.
+     * @param {Error} error Error the delivery failed with
+     * @returns {boolean} Whether the delivery failed due to a network error,
+     * server error or rate limit
+     * @private
+     */
+    _retryable(error) {
+        const {response} = error;
+        return !response ||
+            response.statusCode === 429 ||
+            response.statusCode >= 500;
+    }
+}
+
+module.exports = Matrix;
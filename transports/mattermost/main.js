@@ -0,0 +1,56 @@
+/**
+ * main.js
+ *
+ * Main module for the Mattermost transport.
+ */
+'use strict';
+
+const IncomingWebhook = require('../incoming.js');
+
+const URL_REGEX = /^https?:\/\/[^/]+(?:\/[^/]+)*\/hooks\/[a-z0-9]+$/u;
+
+/**
+ * Mattermost transport class.
+ * @augments IncomingWebhook
+ */
+class Mattermost extends IncomingWebhook {
+    /**
+     * Checks whether a webhook URL is a Mattermost incoming webhook URL.
+     * @param {string} url Webhook URL
+     * @returns {boolean} Whether the URL is valid
+     * @protected
+     */
+    _validate(url) {
+        return URL_REGEX.test(url);
+    }
+    /**
+     * Gets the markup formats should use for messages sent through the
+     * transport.
+     * @returns {string} CommonMark
+     */
+    get markup() {
+        return 'markdown';
+    }
+    /**
+     * Builds the payload posted to the webhook.
+     * @param {object} message Formatted message
+     * @returns {object|null} Payload, or null if there is nothing to post
+     * @protected
+     */
+    _payload(message) {
+        const text = this._text(message);
+        if (!text) {
+            return null;
+        }
+        const {avatar, channel, username} = this._config;
+        return {
+            channel,
+            // eslint-disable-next-line camelcase
+            icon_url: avatar,
+            text,
+            username
+        };
+    }
+}
+
+module.exports = Mattermost;
@@ -0,0 +1,58 @@
+/**
+ * main.js
+ *
+ * Main module for the Rocket.Chat transport.
+ */
+'use strict';
+
+const IncomingWebhook = require('../incoming.js');
+
+const URL_REGEX = /^https?:\/\/[^/]+(?:\/[^/]+)*\/hooks\/[^/]+\/[^/]+$/u;
+
+/**
+ * Rocket.Chat transport class.
+ *
+ * Rocket.Chat understands Slack's mrkdwn, so messages are formatted the
+ * same way as for Slack.
+ * @augments IncomingWebhook
+ */
+class RocketChat extends IncomingWebhook {
+    /**
+     * Checks whether a webhook URL is a Rocket.Chat incoming webhook URL.
+     * @param {string} url Webhook URL
+     * @returns {boolean} Whether the URL is valid
+     * @protected
+     */
+    _validate(url) {
+        return URL_REGEX.test(url);
+    }
+    /**
+     * Gets the markup formats should use for messages sent through the
+     * transport.
+     * @returns {string} Slack's mrkdwn
+     */
+    get markup() {
+        return 'slack';
+    }
+    /**
+     * Builds the payload posted to the webhook.
+     * @param {object} message Formatted message
+     * @returns {object|null} Payload, or null if there is nothing to post
+     * @protected
+     */
+    _payload(message) {
+        const text = this._text(message);
+        if (!text) {
+            return null;
+        }
+        const {avatar, channel, username} = this._config;
+        return {
+            alias: username,
+            avatar,
+            channel,
+            text
+        };
+    }
+}
+
+module.exports = RocketChat;
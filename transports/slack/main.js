@@ -5,45 +5,31 @@
  */
 'use strict';
 
-const Transport = require('../transport.js');
-const got = require('got');
+const IncomingWebhook = require('../incoming.js');
 
 const PREFIX = 'https://hooks.slack.com/services/';
 
 /**
  * Slack transport class.
- * @augments Transport
+ * @augments IncomingWebhook
  */
-class Slack extends Transport {
+class Slack extends IncomingWebhook {
     /**
-     * Class constructor.
-     * @param {object} config Transport configuration
+     * Checks whether a webhook URL belongs to Slack.
+     * @param {string} url Webhook URL
+     * @returns {boolean} Whether the URL is valid
+     * @protected
      */
-    constructor(config) {
-        super(config);
-        const {url} = config;
-        if (
-            typeof url !== 'string' ||
-            !url.startsWith(PREFIX) ||
-            url.split('/').length !== 7
-        ) {
-            throw new Error('Invalid Slack transport configuration!');
-        }
-        this._url = url;
+    _validate(url) {
+        return url.startsWith(PREFIX) && url.split('/').length === 7;
     }
     /**
-     * Executes the transport.
-     * @param {object} message Formatted message to transport
+     * Gets the markup formats should use for messages sent through the
+     * transport.
+     * @returns {string} Slack's mrkdwn
      */
-    async execute(message) {
-        try {
-            await got(this._url, {
-                body: message,
-                method: 'POST'
-            });
-        } catch (error) {
-            this._logger.error('Slack transport error:', error);
-        }
+    get markup() {
+        return 'slack';
     }
 }
 
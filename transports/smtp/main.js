@@ -0,0 +1,238 @@
+/**
+ * main.js
+ *
+ * Main module for the SMTP digest transport.
+ */
+'use strict';
+
+const Redis = require('ioredis');
+const nodemailer = require('nodemailer');
+const Transport = require('../transport.js');
+const Markdown = require('../markdown.js');
+
+const HOUR = 60 * 60 * 1000;
+const PERIODS = {
+    daily: 24 * HOUR,
+    hourly: HOUR
+};
+const KEY_PREFIX = 'transport:smtp';
+const MAX_ENTRIES = 1000;
+const MAX_STORED = 10 * MAX_ENTRIES;
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/gu, '&amp;')
+        .replace(/</gu, '&lt;')
+        .replace(/>/gu, '&gt;');
+}
+
+/**
+ * SMTP transport class.
+ *
+ * Collects messages for each recipient in Redis and periodically emails
+ * them as a digest. Messages stay in Redis until their digest is sent, so
+ * digests that could not be sent are sent with the next one.
+ * @augments Transport
+ */
+class SMTP extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing collected messages
+     * @param {string} wiki Key of the wiki whose messages are collected
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config, cache, wiki) {
+        super(config, cache);
+        const {from, period, smtp, subject, to} = config;
+        this._recipients = to instanceof Array ? to : [to];
+        if (
+            typeof from !== 'string' ||
+            typeof smtp !== 'string' && (
+                typeof smtp !== 'object' ||
+                smtp === null
+            ) ||
+            this._recipients.length === 0 ||
+            this._recipients.some(recipient => typeof recipient !== 'string')
+        ) {
+            throw new Error('Invalid SMTP transport configuration!');
+        }
+        this._from = from;
+        this._period = PERIODS[period] ? period : 'daily';
+        this._subject = subject;
+        this._wiki = wiki || 'default';
+        this._mailer = nodemailer.createTransport(smtp);
+        this._schedule();
+    }
+    /**
+     * Schedules sending digests at the end of the current period.
+     * @private
+     */
+    _schedule() {
+        const length = PERIODS[this._period];
+        const now = Date.now();
+        this._timeout = setTimeout(
+            this._sendDigests.bind(this),
+            Math.ceil((now + 1) / length) * length - now
+        );
+    }
+    /**
+     * Gets the Redis key of messages collected for a recipient.
+     * @param {string} wiki Key of the wiki the messages are from
+     * @param {string} recipient Email address of the recipient
+     * @returns {string} Redis key
+     * @private
+     */
+    _key(wiki, recipient) {
+        return `${KEY_PREFIX}:${wiki}:${recipient}`;
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     */
+    execute(message) {
+        const markdown = Markdown.fromMessage(message);
+        if (markdown) {
+            this._collect(JSON.stringify({
+                markdown,
+                time: Date.now()
+            }));
+        }
+    }
+    /**
+     * Stores a message for every recipient until their next digest.
+     * @param {string} entry Serialized message
+     * @private
+     */
+    async _collect(entry) {
+        try {
+            const multi = this._cache.multi();
+            for (const recipient of this._recipients) {
+                const key = this._key(this._wiki, recipient);
+                multi
+                    .rpush(key, entry)
+                    .ltrim(key, -MAX_STORED, -1);
+            }
+            await multi.exec();
+        } catch (error) {
+            this._logger.error('Failed to store message for digest:', error);
+        }
+    }
+    /**
+     * Queues digests for all recipients and schedules the next ones.
+     * @private
+     */
+    _sendDigests() {
+        for (const recipient of this._recipients) {
+            this.send({
+                recipient,
+                wiki: this._wiki
+            });
+        }
+        this._schedule();
+    }
+    /**
+     * Sends the digest of messages collected for a recipient.
+     *
+     * Messages are removed from Redis only after the digest has been sent.
+     * @param {object} digest Digest to send
+     * @param {string} digest.recipient Email address of the recipient
+     * @param {string} digest.wiki Key of the wiki the messages are from
+     * @private
+     */
+    async _deliver({recipient, wiki}) {
+        const key = this._key(wiki, recipient);
+        const stored = await this._cache.lrange(key, 0, MAX_ENTRIES - 1);
+        const entries = stored
+            .map(entry => this._parse(entry))
+            .filter(Boolean);
+        if (entries.length === 0) {
+            await this._cache.ltrim(key, stored.length, -1);
+            return;
+        }
+        await this._mailer.sendMail({
+            from: this._from,
+            html: this._html(entries, wiki),
+            subject: this._subject || `KockaLogger digest for ${wiki}: ${
+                entries.length
+            } ${entries.length === 1 ? 'action' : 'actions'}`,
+            text: this._text(entries, wiki),
+            to: recipient
+        });
+        await this._cache.ltrim(key, stored.length, -1);
+    }
+    /**
+     * Parses a stored message.
+     * @param {string} entry Serialized message
+     * @returns {object|null} Collected message, or null if it is corrupt
+     * @private
+     */
+    _parse(entry) {
+        try {
+            return JSON.parse(entry);
+        } catch (error) {
+            this._logger.error('Skipping corrupt digest entry:', entry, error);
+            return null;
+        }
+    }
+    /**
+     * Formats the time a message was collected at.
+     * @param {number} time Timestamp
+     * @returns {string} Date and time in UTC
+     * @private
+     */
+    _time(time) {
+        return new Date(time).toISOString()
+            .slice(0, 16)
+            .replace('T', ' ');
+    }
+    /**
+     * Renders the HTML version of a digest.
+     * @param {object[]} entries Collected messages
+     * @param {string} wiki Key of the wiki the messages are from
+     * @returns {string} HTML
+     * @private
+     */
+    _html(entries, wiki) {
+        const items = entries.map(({markdown, time}) => `<li><small>${
+            this._time(time)
+        }</small> ${Markdown.toHTML(markdown, '<br>')}</li>`);
+        return `<h2>Activity on ${escapeHTML(wiki)}</h2>` +
+            `<ul>${items.join('')}</ul>` +
+            '<p><small>Times are in UTC.</small></p>';
+    }
+    /**
+     * Renders the plain text version of a digest.
+     * @param {object[]} entries Collected messages
+     * @param {string} wiki Key of the wiki the messages are from
+     * @returns {string} Plain text
+     * @private
+     */
+    _text(entries, wiki) {
+        const items = entries.map(({markdown, time}) => `[${
+            this._time(time)
+        }] ${Markdown.toText(markdown)}`);
+        return `Activity on ${wiki}\n\n${items.join('\n')}\n\n` +
+            'Times are in UTC.\n';
+    }
+    /**
+     * Disposes resources used by the transport so KockaLogger can cleanly exit.
+     *
+     * Collected messages stay in Redis and are sent with the next digest
+     * after a restart.
+     */
+    async kill() {
+        if (this._timeout) {
+            clearTimeout(this._timeout);
+        }
+        await super.kill();
+        this._mailer.close();
+    }
+}
+
+module.exports = SMTP;
@@ -0,0 +1,77 @@
+/**
+ * main.js
+ *
+ * Main module for the Microsoft Teams transport.
+ */
+'use strict';
+
+const IncomingWebhook = require('../incoming.js');
+
+const URL_REGEX = new RegExp(
+    '^https://[^/]+\\.(?:webhook\\.office\\.com|logic\\.azure\\.com|' +
+    'api\\.powerplatform\\.com)(?::443)?/',
+    'u'
+);
+const SCHEMA = 'http://adaptivecards.io/schemas/adaptive-card.json';
+
+/**
+ * Microsoft Teams transport class.
+ *
+ * Posts messages as Adaptive Cards, which both Office 365 connectors and
+ * Power Automate workflows accept.
+ * @augments IncomingWebhook
+ */
+class Teams extends IncomingWebhook {
+    /**
+     * Checks whether a webhook URL is a Teams incoming webhook or workflow
+     * URL.
+     * @param {string} url Webhook URL
+     * @returns {boolean} Whether the URL is valid
+     * @protected
+     */
+    _validate(url) {
+        return URL_REGEX.test(url);
+    }
+    /**
+     * Gets the markup formats should use for messages sent through the
+     * transport.
+     * @returns {string} CommonMark
+     */
+    get markup() {
+        return 'markdown';
+    }
+    /**
+     * Builds the payload posted to the webhook.
+     * @param {object} message Formatted message
+     * @returns {object|null} Payload, or null if there is nothing to post
+     * @protected
+     */
+    _payload(message) {
+        const text = this._text(message);
+        if (!text) {
+            return null;
+        }
+        return {
+            attachments: [
+                {
+                    content: {
+                        $schema: SCHEMA,
+                        body: [
+                            {
+                                text,
+                                type: 'TextBlock',
+                                wrap: true
+                            }
+                        ],
+                        type: 'AdaptiveCard',
+                        version: '1.4'
+                    },
+                    contentType: 'application/vnd.microsoft.card.adaptive'
+                }
+            ],
+            type: 'message'
+        };
+    }
+}
+
+module.exports = Teams;
@@ -0,0 +1,196 @@
+/**
+ * main.js
+ *
+ * Main module for the Telegram transport.
+ */
+'use strict';
+
+const Redis = require('ioredis');
+const got = require('got');
+const Transport = require('../transport.js');
+const Markdown = require('../markdown.js');
+
+const DEFAULT_API = 'https://api.telegram.org';
+const MAX_LENGTH = 4096;
+
+/**
+ * Splits escaped text into parts no longer than the specified length,
+ * preferably between words and never inside HTML entities.
+ * @param {string} text Text to split
+ * @param {number} max Maximum length of a part
+ * @returns {string[]} Parts of the text
+ */
+function splitText(text, max) {
+    const parts = [];
+    let rest = text;
+    while (rest.length > max) {
+        const space = rest.lastIndexOf(' ', max);
+        let cut = space > 0 ? space : max;
+        const entity = rest.slice(0, cut).search(/&[a-z]*$/u);
+        if (entity > 0) {
+            cut = entity;
+        }
+        parts.push(rest.slice(0, cut));
+        rest = rest.slice(cut).trimStart();
+    }
+    parts.push(rest);
+    return parts;
+}
+
+/**
+ * Escapes text for use in Telegram HTML.
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/gu, '&amp;')
+        .replace(/</gu, '&lt;')
+        .replace(/>/gu, '&gt;');
+}
+
+/**
+ * Telegram transport class.
+ *
+ * Sends messages to Telegram chats through a bot.
+ * @augments Transport
+ */
+class Telegram extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config, cache) {
+        super(config, cache);
+        const {api, chats, token} = config;
+        const server = typeof api === 'string' ?
+            api.replace(/\/+$/u, '') :
+            DEFAULT_API;
+        this._chats = chats instanceof Array ? chats : [chats];
+        if (
+            typeof token !== 'string' ||
+            !/^https?:\/\//u.test(server) ||
+            this._chats.length === 0 ||
+            this._chats.some(chat => typeof chat !== 'number' &&
+                typeof chat !== 'string')
+        ) {
+            throw new Error('Invalid Telegram transport configuration!');
+        }
+        this._url = `${server}/bot${token}/sendMessage`;
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     */
+    execute(message) {
+        const markdown = Markdown.fromMessage(message);
+        if (!markdown) {
+            return;
+        }
+        const parts = this._split(markdown);
+        for (const chat of this._chats) {
+            for (const text of parts) {
+                this.send({
+                    chat,
+                    text
+                });
+            }
+        }
+    }
+    /**
+     * Converts Markdown into Telegram HTML, split into parts fitting into
+     * Telegram messages.
+     *
+     * Code blocks and lines are kept whole where possible, and ones too long
+     * for a single message lose their formatting and are split between
+     * words.
+     * @param {string} markdown Markdown to convert
+     * @returns {string[]} Telegram HTML of each message
+     * @private
+     */
+    _split(markdown) {
+        const parts = [];
+        let current = '';
+        for (const block of Markdown.blocks(markdown)) {
+            const html = Markdown.toHTML(block);
+            const pieces = html.length > MAX_LENGTH ?
+                splitText(escapeHTML(Markdown.toText(block)), MAX_LENGTH) :
+                [html];
+            for (const piece of pieces) {
+                if (current && current.length + piece.length >= MAX_LENGTH) {
+                    parts.push(current);
+                    current = '';
+                }
+                current = current ? `${current}\n${piece}` : piece;
+            }
+        }
+        if (current) {
+            parts.push(current);
+        }
+        return parts;
+    }
+    /**
+     * Sends a message to a chat.
+     * @param {object} message Message to deliver
+     * @param {number|string} message.chat Chat ID
+     * @param {string} message.text Telegram HTML of the message
+     * @private
+     */
+    async _deliver({chat, text}) {
+        await got(this._url, {
+            /* eslint-disable camelcase */
+            json: {
+                chat_id: chat,
+                link_preview_options: {
+                    is_disabled: true
+                },
+                parse_mode: 'HTML',
+                text
+            },
+            /* eslint-enable camelcase */
+            method: 'POST',
+            // Retries are handled by the transport queue.
+            retry: 0
+        });
+    }
+    /**
+     * Gets the delay requested by Telegram when the bot hit flood limits.
+     * @param {Error} error Error the delivery failed with
+     * @returns {number|null} Milliseconds to wait before retrying, or null if
+     * the bot did not hit flood limits
+     * @private
+     */
+    _retryAfter(error) {
+        const {response} = error;
+        if (!response || response.statusCode !== 429) {
+            return null;
+        }
+        try {
+            const {parameters} = JSON.parse(response.body);
+            if (parameters && typeof parameters.retry_after === 'number') {
+                return parameters.retry_after * 1000;
+            }
+        } catch (_error) {
+            // Fall back to the Retry-After header.
+        }
+        const retryAfter = Number(response.headers['retry-after']);
+        return isNaN(retryAfter) ? null : retryAfter * 1000;
+    }
+    /**
+     * Determines whether a failed delivery is worth retrying.
+     * @param {Error} error Error the delivery failed with
+     * @returns {boolean} Whether the delivery failed due to a network error,
+     * server error or flood limit
+     * @private
+     */
+    _retryable(error) {
+        const {response} = error;
+        return !response ||
+            response.statusCode === 429 ||
+            response.statusCode >= 500;
+    }
+}
+
+module.exports = Telegram;
@@ -0,0 +1,65 @@
+/**
+ * template.js
+ *
+ * Placeholder templating shared by transports.
+ */
+'use strict';
+
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.]+)\s*\}\}/gu;
+const WHOLE_PLACEHOLDER_REGEX = /^\{\{\s*([\w.]+)\s*\}\}$/u;
+
+/**
+ * Looks up a value in an object by its dot-separated path.
+ * @param {object} data Object to look the value up in
+ * @param {string} path Path to the value, such as `params.diff`
+ * @returns {*} Found value, or undefined if there is none
+ */
+function lookup(data, path) {
+    return path.split('.').reduce((value, key) => (
+        typeof value === 'object' && value !== null ?
+            value[key] :
+            undefined
+    ), data);
+}
+
+/**
+ * Fills placeholders in a JSON template with values from an object.
+ *
+ * A string consisting of only a placeholder is replaced with the value
+ * itself, keeping its type, while placeholders inside longer strings are
+ * replaced with the value converted to text.
+ * @param {*} template JSON template
+ * @param {object} data Object to fill the placeholders from, such as a
+ * message
+ * @returns {*} Filled template
+ */
+function render(template, data) {
+    if (typeof template === 'string') {
+        const whole = template.match(WHOLE_PLACEHOLDER_REGEX);
+        if (whole) {
+            const value = lookup(data, whole[1]);
+            return value === undefined ? null : value;
+        }
+        return template.replace(PLACEHOLDER_REGEX, function(_, path) {
+            const value = lookup(data, path);
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return typeof value === 'object' ?
+                JSON.stringify(value) :
+                String(value);
+        });
+    }
+    if (template instanceof Array) {
+        return template.map(item => render(item, data));
+    }
+    if (typeof template === 'object' && template !== null) {
+        return Object.fromEntries(Object.entries(template)
+            .map(([key, value]) => [key, render(value, data)]));
+    }
+    return template;
+}
+
+module.exports = {
+    render
+};
@@ -5,19 +5,40 @@
  */
 'use strict';
 
+const Redis = require('ioredis');
 const Logger = require('../include/log.js');
 const Message = require('../parser/msg.js');
 
+const DEAD_LETTER_KEY = 'transport:deadletter';
+const MAX_DEAD_LETTERS = 10000;
+const DEFAULT_RETRIES = 5;
+const BACKOFF = 1000;
+const MAX_BACKOFF = 5 * 60 * 1000;
+
+// Maps identifiers of running transports to the transports.
+const registered = new Map();
+
 /**
  * Base transport class
+ *
+ * Transports send messages through a queue, which delivers them in order,
+ * retries failed deliveries and stores messages that could not be delivered
+ * in a dead-letter list in Redis, from where they can be replayed.
  */
 class Transport {
     /**
      * Class constructor
      * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
      */
-    constructor(config) {
+    constructor(config, cache) {
         this._config = config;
+        this._cache = cache;
+        this._retries = typeof config.retries === 'number' ?
+            config.retries :
+            DEFAULT_RETRIES;
+        this._queue = [];
+        this._deadLettered = 0;
         this._logger = new Logger({
             file: true,
             name: `${config.type}-transport`
@@ -25,18 +46,294 @@ class Transport {
     }
     /**
      * Executes the transport
-     * @param {Message} _message Message to transport
+     * @param {object} _message Formatted message to transport
+     * @param {Message} _original Message the formatted message was built
+     * from, if there is a single one
      * @throws {Error} If not implemented
      */
-    execute(_message) {
+    execute(_message, _original) {
         throw new Error('Implement this method!');
     }
-    /* eslint-disable no-empty-function */
+    /**
+     * Gets the type of the format used for the transport when none is
+     * configured.
+     * @returns {string} Format type
+     */
+    get defaultFormat() {
+        return 'logger';
+    }
+    /**
+     * Gets the markup formats should use for messages sent through the
+     * transport.
+     *
+     * Transports which convert markup themselves take Discord's Markdown.
+     * @returns {string} `discord`, `slack` for Slack's mrkdwn or `markdown`
+     * for CommonMark
+     */
+    get markup() {
+        return 'discord';
+    }
+    /**
+     * Gets whether the transport can edit messages it posted, so that
+     * formats can coalesce consecutive edits into one message.
+     * @returns {boolean} Whether posted messages can be edited
+     */
+    get coalescable() {
+        return false;
+    }
+    /**
+     * Registers the transport under an identifier, which is stored with its
+     * undelivered messages so they can be replayed through it.
+     *
+     * Transports created later under the same identifier, such as when
+     * configuration is reloaded, take over the identifier.
+     * @param {string} id Identifier of the transport, unique among running
+     * transports
+     */
+    register(id) {
+        this._id = id;
+        registered.set(id, this);
+    }
+    /**
+     * Queues a formatted message for delivery.
+     * @param {object} message Formatted message to deliver
+     * @returns {Promise} Promise resolving once all queued messages have been
+     * either delivered or stored in the dead-letter list
+     */
+    send(message) {
+        this._queue.push(message);
+        if (!this._processing) {
+            this._processing = this._process();
+        }
+        return this._processing;
+    }
+    /**
+     * Delivers queued messages one by one.
+     * @private
+     */
+    async _process() {
+        try {
+            while (this._queue.length) {
+                await this._attempt(this._queue.shift());
+            }
+        } finally {
+            delete this._processing;
+        }
+    }
+    /**
+     * Attempts to deliver a message until it succeeds or runs out of retries.
+     *
+     * Waiting for a rate limit to pass does not count as a retry.
+     * @param {object} message Formatted message to deliver
+     * @private
+     */
+    async _attempt(message) {
+        let retries = 0;
+        for (;;) {
+            try {
+                await this._deliver(message);
+                return;
+            } catch (error) {
+                const retryAfter = this._retryAfter(error);
+                const limited = typeof retryAfter === 'number';
+                if (
+                    this._killing ||
+                    !limited && (
+                        retries >= this._retries ||
+                        !this._retryable(error)
+                    )
+                ) {
+                    await this._deadLetter(message, error);
+                    return;
+                }
+                const delay = limited ?
+                    retryAfter :
+                    Math.min(BACKOFF * 2 ** retries++, MAX_BACKOFF);
+                this._logger.warn(
+                    'Failed to deliver message, retrying in',
+                    delay,
+                    'ms:',
+                    error.message
+                );
+                await this._wait(delay);
+            }
+        }
+    }
+    /**
+     * Delivers a single formatted message.
+     * @param {object} _message Formatted message to deliver
+     * @throws {Error} If not implemented, or when the delivery fails
+     * @private
+     */
+    _deliver(_message) {
+        throw new Error('Implement this method!');
+    }
+    /**
+     * Gets the delay requested by the service when the transport got rate
+     * limited.
+     * @param {Error} _error Error the delivery failed with
+     * @returns {number|null} Milliseconds to wait before retrying, or null if
+     * the transport did not get rate limited
+     * @private
+     */
+    _retryAfter(_error) {
+        return null;
+    }
+    /**
+     * Determines whether a failed delivery is worth retrying.
+     * @param {Error} _error Error the delivery failed with
+     * @returns {boolean} Whether the delivery should be retried
+     * @private
+     */
+    _retryable(_error) {
+        return true;
+    }
+    /**
+     * Waits before retrying a delivery, unless the transport is being killed.
+     * @param {number} delay Milliseconds to wait
+     * @returns {Promise} Promise resolving after the delay
+     * @private
+     */
+    _wait(delay) {
+        return new Promise(function(resolve) {
+            this._waiting = {
+                resolve,
+                timeout: setTimeout(resolve, delay)
+            };
+        }.bind(this));
+    }
+    /**
+     * Stores a message that could not be delivered in the dead-letter list.
+     * @param {object} message Formatted message that could not be delivered
+     * @param {Error} error Error the last delivery attempt failed with
+     * @private
+     */
+    async _deadLetter(message, error) {
+        ++this._deadLettered;
+        this._logger.error('Failed to deliver message:', error);
+        if (!this._cache) {
+            return;
+        }
+        try {
+            await this._cache
+                .multi()
+                .rpush(DEAD_LETTER_KEY, JSON.stringify({
+                    error: String(error),
+                    id: this._id,
+                    message,
+                    time: Date.now(),
+                    transport: this.constructor.name.toLowerCase()
+                }))
+                .ltrim(DEAD_LETTER_KEY, -MAX_DEAD_LETTERS, -1)
+                .exec();
+        } catch (cacheError) {
+            this._logger.error(
+                'Failed to store undelivered message:',
+                cacheError
+            );
+        }
+    }
+    /**
+     * Gets the amount of messages in the dead-letter list.
+     * @param {Redis} cache Redis client
+     * @returns {Promise<number>} Amount of undelivered messages
+     * @static
+     */
+    static deadLetters(cache) {
+        return cache.llen(DEAD_LETTER_KEY);
+    }
+    /**
+     * Attempts to deliver messages from the dead-letter list again.
+     *
+     * Messages are delivered through the running transports registered
+     * under the identifier of the transport they were originally sent
+     * through, so that their current configuration is used. Messages whose
+     * transport is no longer running, that cannot be read, or that fail to
+     * be delivered again, are put back into the list.
+     * @param {Redis} cache Redis client
+     * @returns {Promise<object>} Amounts of delivered and failed messages
+     * @static
+     */
+    static async replay(cache) {
+        const count = await cache.llen(DEAD_LETTER_KEY);
+        // Maps transports used for replaying to their earlier failures.
+        const transports = new Map();
+        const pending = [];
+        let taken = 0;
+        let failed = 0;
+        for (let i = 0; i < count; ++i) {
+            const entry = await cache.lpop(DEAD_LETTER_KEY);
+            if (!entry) {
+                break;
+            }
+            ++taken;
+            const {id, message} = Transport._parseDeadLetter(entry);
+            const transport = registered.get(id);
+            if (!transport) {
+                await cache.rpush(DEAD_LETTER_KEY, entry);
+                ++failed;
+                continue;
+            }
+            if (!transports.has(transport)) {
+                transports.set(transport, transport._deadLettered);
+            }
+            pending.push(transport.send(message));
+        }
+        await Promise.all(pending);
+        for (const [transport, deadLettered] of transports) {
+            failed += transport._deadLettered - deadLettered;
+        }
+        return {
+            delivered: taken - failed,
+            failed
+        };
+    }
+    /**
+     * Reads an entry from the dead-letter list.
+     * @param {string} entry Serialized dead letter
+     * @returns {object} Dead letter, without any properties if the entry is
+     * corrupt
+     * @static
+     * @private
+     */
+    static _parseDeadLetter(entry) {
+        try {
+            return JSON.parse(entry) || {};
+        } catch (_error) {
+            return {};
+        }
+    }
+    /**
+     * Deletes all messages from the dead-letter list.
+     * @param {Redis} cache Redis client
+     * @returns {Promise<number>} Amount of deleted messages
+     * @static
+     */
+    static async purge(cache) {
+        const [[, count]] = await cache
+            .multi()
+            .llen(DEAD_LETTER_KEY)
+            .del(DEAD_LETTER_KEY)
+            .exec();
+        return count;
+    }
     /**
      * Disposes resources used by the transport so KockaLogger can cleanly exit.
+     *
+     * Queued messages are delivered without further retries.
      */
-    kill() {}
-    /* eslint-enable */
+    async kill() {
+        this._killing = true;
+        if (registered.get(this._id) === this) {
+            registered.delete(this._id);
+        }
+        if (this._waiting) {
+            clearTimeout(this._waiting.timeout);
+            this._waiting.resolve();
+        }
+        await this._processing;
+        this._logger.close();
+    }
 }
 
 module.exports = Transport;
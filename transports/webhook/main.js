@@ -0,0 +1,132 @@
+/**
+ * main.js
+ *
+ * Main module for the generic webhook transport.
+ */
+'use strict';
+
+const {createHmac} = require('crypto');
+const Redis = require('ioredis');
+const got = require('got');
+const Transport = require('../transport.js');
+const {render} = require('../template.js');
+const {USER_AGENT} = require('../../include/util.js');
+
+const DEFAULT_SIGNATURE_HEADER = 'X-KockaLogger-Signature';
+
+/**
+ * Generic webhook transport class.
+ *
+ * Posts messages as JSON to any URL, optionally filling a JSON template
+ * and signing the body with a shared secret.
+ * @augments Transport
+ */
+class Webhook extends Transport {
+    /**
+     * Class constructor.
+     * @param {object} config Transport configuration
+     * @param {Redis} cache Redis client used for storing undelivered messages
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config, cache) {
+        super(config, cache);
+        const {headers, secret, signatureHeader, template, url} = config;
+        if (
+            typeof url !== 'string' ||
+            !/^https?:\/\//u.test(url) ||
+            headers !== undefined && (
+                typeof headers !== 'object' ||
+                headers === null ||
+                Object.values(headers).some(v => typeof v !== 'string')
+            ) ||
+            secret !== undefined && typeof secret !== 'string'
+        ) {
+            throw new Error('Invalid webhook transport configuration!');
+        }
+        this._url = url;
+        this._headers = headers || {};
+        this._secret = secret;
+        this._signatureHeader = signatureHeader || DEFAULT_SIGNATURE_HEADER;
+        this._template = template;
+    }
+    /**
+     * Gets the type of the format used for the transport when none is
+     * configured.
+     * @returns {string} Format type
+     */
+    get defaultFormat() {
+        return 'json';
+    }
+    /**
+     * Executes the transport.
+     * @param {object} message Formatted message to transport
+     */
+    execute(message) {
+        this.send(this._template === undefined ?
+            message :
+            render(this._template, message));
+    }
+    /**
+     * Delivers a message to the webhook.
+     * @param {*} message JSON body to deliver
+     * @private
+     */
+    async _deliver(message) {
+        const body = JSON.stringify(message);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            ...this._headers
+        };
+        if (this._secret) {
+            headers[this._signatureHeader] = `sha256=${
+                createHmac('sha256', this._secret).update(body).digest('hex')
+            }`;
+        }
+        await got(this._url, {
+            body,
+            headers,
+            method: 'POST',
+            // Retries are handled by the transport queue.
+            retry: 0
+        });
+    }
+    /**
+     * Gets the delay requested by the webhook when it rate limited the
+     * transport.
+     * @param {Error} error Error the delivery failed with
+     * @returns {number|null} Milliseconds to wait before retrying, or null if
+     * the transport did not get rate limited
+     * @private
+     */
+    _retryAfter(error) {
+        const {response} = error;
+        if (!response || response.statusCode !== 429) {
+            return null;
+        }
+        const retryAfter = response.headers['retry-after'];
+        const seconds = Number(retryAfter);
+        if (!isNaN(seconds)) {
+            return seconds * 1000;
+        }
+        // Retry-After may also be an HTTP date.
+        const date = Date.parse(retryAfter);
+        return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+    /**
+     * Determines whether a failed delivery is worth retrying.
+     * @param {Error} error Error the delivery failed with
+     * @returns {boolean} Whether the delivery failed due to a network error,
+     * timeout, server error or rate limit
+     * @private
+     */
+    _retryable(error) {
+        const {response} = error;
+        return !response ||
+            response.statusCode === 408 ||
+            response.statusCode === 429 ||
+            response.statusCode >= 500;
+    }
+}
+
+module.exports = Webhook;